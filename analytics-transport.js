@@ -0,0 +1,257 @@
+/**
+ * Analytics Transports
+ * Where UserAnalytics sends its rows. Every transport implements:
+ *
+ *   insert(table, rows, { onConflict })  rows whose onConflict column already exists are skipped
+ *   update(table, match, data)           match is { column: value }
+ *   sendBeacon(table, rows, { onConflict })  fire-and-forget send while the page unloads
+ *
+ * Failed requests reject with an Error carrying the HTTP `status` when there is one,
+ * so the event queue can tell retryable failures from rejected rows.
+ * CONFIG.ANALYTICS_TRANSPORT picks the transport (see createAnalyticsTransport).
+ */
+
+// Supabase REST (PostgREST) tables
+class SupabaseTransport {
+    constructor(supabaseUrl, supabaseKey) {
+        this.supabaseUrl = supabaseUrl;
+        this.supabaseKey = supabaseKey;
+    }
+
+    getHeaders(prefer) {
+        return {
+            'apikey': this.supabaseKey,
+            'Authorization': `Bearer ${this.supabaseKey}`,
+            'Content-Type': 'application/json',
+            'Prefer': prefer
+        };
+    }
+
+    // Raw REST request; path is the table plus an optional query string
+    async request(path, method = 'POST', data = null, prefer = 'return=representation') {
+        const url = `${this.supabaseUrl}/rest/v1/${path}`;
+        const options = {
+            method,
+            headers: this.getHeaders(prefer)
+        };
+
+        if (data) {
+            options.body = JSON.stringify(data);
+        }
+
+        try {
+            const response = await fetch(url, options);
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                console.error('Supabase request failed:', {
+                    url,
+                    method,
+                    status: response.status,
+                    statusText: response.statusText,
+                    errorBody: errorText
+                });
+                const requestError = new Error(`Supabase request failed: ${response.status} ${response.statusText} - ${errorText}`);
+                requestError.status = response.status;
+                throw requestError;
+            }
+
+            // return=minimal responses have no body
+            const text = await response.text();
+            return text ? JSON.parse(text) : null;
+        } catch (error) {
+            console.error('Network error in Supabase request:', error);
+            throw error;
+        }
+    }
+
+    async insert(table, rows, { onConflict = null } = {}) {
+        if (onConflict) {
+            return this.request(`${table}?on_conflict=${onConflict}`, 'POST', rows, 'resolution=ignore-duplicates,return=minimal');
+        }
+        return this.request(table, 'POST', rows, 'return=minimal');
+    }
+
+    async update(table, match, data) {
+        const query = Object.entries(match)
+            .map(([column, value]) => `${column}=eq.${encodeURIComponent(value)}`)
+            .join('&');
+        return this.request(`${table}?${query}`, 'PATCH', data, 'return=minimal');
+    }
+
+    // sendBeacon cannot set headers, so the API key goes in the query string and
+    // duplicates are not ignored (the whole beacon fails on a conflict). When the
+    // browser refuses the beacon a keepalive fetch with the usual headers is used.
+    sendBeacon(table, rows, { onConflict = null } = {}) {
+        const url = `${this.supabaseUrl}/rest/v1/${table}`;
+        const body = JSON.stringify(rows);
+
+        let queued = false;
+        try {
+            if (navigator.sendBeacon) {
+                const beaconUrl = `${url}?apikey=${encodeURIComponent(this.supabaseKey)}`;
+                queued = navigator.sendBeacon(beaconUrl, new Blob([body], { type: 'application/json' }));
+            }
+        } catch (error) {
+            queued = false;
+        }
+
+        if (!queued) {
+            const fetchUrl = onConflict ? `${url}?on_conflict=${onConflict}` : url;
+            fetch(fetchUrl, {
+                method: 'POST',
+                keepalive: true,
+                headers: this.getHeaders(onConflict ? 'resolution=ignore-duplicates,return=minimal' : 'return=minimal'),
+                body
+            }).catch(() => {});
+        }
+    }
+}
+
+// Keeps rows in memory, optionally logging them; for tests and local development
+class MemoryTransport {
+    constructor({ log = false } = {}) {
+        this.log = log;
+        this.tables = {};
+    }
+
+    getRows(table) {
+        return this.tables[table] || [];
+    }
+
+    clear() {
+        this.tables = {};
+    }
+
+    async insert(table, rows, { onConflict = null } = {}) {
+        if (!this.tables[table]) this.tables[table] = [];
+        const stored = this.tables[table];
+
+        const added = rows.filter(row => !onConflict ||
+            !stored.some(existing => existing[onConflict] === row[onConflict]));
+        stored.push(...added.map(row => ({ ...row })));
+
+        if (this.log) {
+            console.log(`[analytics] insert ${table}:`, added);
+        }
+        return null;
+    }
+
+    async update(table, match, data) {
+        const rows = this.getRows(table).filter(row =>
+            Object.entries(match).every(([column, value]) => row[column] === value));
+        rows.forEach(row => Object.assign(row, data));
+
+        if (this.log) {
+            console.log(`[analytics] update ${table} (${rows.length} rows):`, data);
+        }
+        return null;
+    }
+
+    sendBeacon(table, rows, options = {}) {
+        this.insert(table, rows, options);
+    }
+}
+
+// POSTs newline-delimited JSON to a collector, one operation per line:
+//   {"op":"insert","table":"search_events","on_conflict":"event_id","row":{...}}
+//   {"op":"update","table":"user_sessions","match":{"session_id":"..."},"data":{...}}
+// The collector is expected to skip inserts whose on_conflict value it already has.
+class NdjsonTransport {
+    constructor(endpoint, headers = {}) {
+        this.endpoint = endpoint;
+        this.headers = headers;
+    }
+
+    toNdjson(lines) {
+        return lines.map(line => JSON.stringify(line)).join('\n') + '\n';
+    }
+
+    getInsertLines(table, rows, onConflict) {
+        return rows.map(row => ({ op: 'insert', table, on_conflict: onConflict, row }));
+    }
+
+    async post(lines) {
+        const response = await fetch(this.endpoint, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/x-ndjson',
+                ...this.headers
+            },
+            body: this.toNdjson(lines)
+        });
+
+        if (!response.ok) {
+            const requestError = new Error(`Analytics endpoint failed: ${response.status} ${response.statusText}`);
+            requestError.status = response.status;
+            throw requestError;
+        }
+        return null;
+    }
+
+    async insert(table, rows, { onConflict = null } = {}) {
+        return this.post(this.getInsertLines(table, rows, onConflict));
+    }
+
+    async update(table, match, data) {
+        return this.post([{ op: 'update', table, match, data }]);
+    }
+
+    sendBeacon(table, rows, { onConflict = null } = {}) {
+        const body = this.toNdjson(this.getInsertLines(table, rows, onConflict));
+
+        let queued = false;
+        try {
+            // text/plain keeps the beacon a simple CORS request
+            queued = !!navigator.sendBeacon && navigator.sendBeacon(this.endpoint, new Blob([body], { type: 'text/plain' }));
+        } catch (error) {
+            queued = false;
+        }
+
+        if (!queued) {
+            fetch(this.endpoint, {
+                method: 'POST',
+                keepalive: true,
+                headers: {
+                    'Content-Type': 'application/x-ndjson',
+                    ...this.headers
+                },
+                body
+            }).catch(() => {});
+        }
+    }
+}
+
+// Build the transport named by CONFIG.ANALYTICS_TRANSPORT
+function createAnalyticsTransport(config) {
+    const name = config.ANALYTICS_TRANSPORT || 'supabase';
+
+    switch (name) {
+        case 'supabase':
+            if (!config.SUPABASE_URL || !config.SUPABASE_ANON_KEY) {
+                throw new Error('Supabase analytics transport needs SUPABASE_URL and SUPABASE_ANON_KEY');
+            }
+            return new SupabaseTransport(config.SUPABASE_URL, config.SUPABASE_ANON_KEY);
+        case 'memory':
+            return new MemoryTransport();
+        case 'console':
+            return new MemoryTransport({ log: true });
+        case 'ndjson':
+            if (!config.ANALYTICS_ENDPOINT) {
+                throw new Error('NDJSON analytics transport needs ANALYTICS_ENDPOINT');
+            }
+            return new NdjsonTransport(config.ANALYTICS_ENDPOINT, config.ANALYTICS_ENDPOINT_HEADERS || {});
+        default:
+            throw new Error(`Unknown analytics transport: ${name}`);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SupabaseTransport, MemoryTransport, NdjsonTransport, createAnalyticsTransport };
+} else {
+    window.SupabaseTransport = SupabaseTransport;
+    window.MemoryTransport = MemoryTransport;
+    window.NdjsonTransport = NdjsonTransport;
+    window.createAnalyticsTransport = createAnalyticsTransport;
+}
@@ -1,13 +1,31 @@
+const ANALYTICS_QUEUE_PREFIX = 'analytics_event_queue_';
+
 class UserAnalytics {
-    constructor(supabaseUrl, supabaseKey) {
+    // transport: where rows are sent (see analytics-transport.js); defaults to Supabase REST
+    constructor(supabaseUrl, supabaseKey, transport = null) {
         this.supabaseUrl = supabaseUrl;
         this.supabaseKey = supabaseKey;
+        this.transport = transport || new SupabaseTransport(supabaseUrl, supabaseKey);
         this.sessionId = this.generateSessionId();
         this.sessionStartTime = new Date();
-        this.eventQueue = [];
         this.batchSize = 10;
         this.flushInterval = 5000; // 5 seconds
         this.isOnline = navigator.onLine;
+        this.isReady = false; // events are held until the user and session rows exist
+        this.isEnabled = true; // false once stopped after consent was withdrawn
+        this.listeners = [];   // [target, type, handler], removed by stop()
+        this.timers = [];
+
+        // Durable queue: unsent events survive reloads and are replayed on the next visit
+        this.queueStoragePrefix = ANALYTICS_QUEUE_PREFIX;
+        this.queueStorageKey = this.queueStoragePrefix + this.sessionId;
+        this.maxQueueSize = 500; // oldest events are dropped beyond this
+        this.eventQueue = this.loadPersistedQueue();
+        this.inFlightEvents = [];
+        this.isFlushing = false;
+        this.retryAttempts = 0;
+        this.nextRetryTime = 0;
+        this.maxRetryDelay = 300000; // 5 minutes
         this.heartbeatInterval = 30000; // 30 seconds
         this.visibilityChangeTime = new Date();
 
@@ -17,19 +35,32 @@ class UserAnalytics {
         this.isReturningUser = false;
         this.userJourneyId = null;
         this.sessionCount = 1;
+        this.authUserId = null; // set while signed in, stamped on new rows
 
-        this.init();
+        this.initPromise = this.init();
     }
 
     async init() {
         await this.initializeAnonymousUser();
         await this.initializeSession();
+        if (!this.isEnabled) return; // stopped while starting up
+        this.isReady = true;
         this.setupEventListeners();
         this.startHeartbeat();
         this.startAutoFlush();
     }
 
+    // Tracking runs only with the visitor's consent (see consent.js)
+    hasConsent(category) {
+        return !window.consentManager || window.consentManager.hasConsent(category);
+    }
+
     async initializeAnonymousUser() {
+        if (!this.hasConsent('analytics')) {
+            console.log('Analytics consent not given, skipping anonymous user');
+            return;
+        }
+
         console.log('Initializing anonymous user...');
 
         try {
@@ -67,6 +98,18 @@ class UserAnalytics {
         return 'sess_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
     }
 
+    // UUID stored with each event so a retried upload never inserts it twice
+    generateEventId() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+
+        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
+            const r = Math.random() * 16 | 0;
+            return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+        });
+    }
+
     getDeviceInfo() {
         return {
             userAgent: navigator.userAgent,
@@ -111,16 +154,16 @@ class UserAnalytics {
         try {
             // First try to create new user (most common case)
             try {
-                const createResponse = await this.makeSupabaseRequest('anonymous_users', 'POST', anonymousUserData);
+                await this.transport.insert('anonymous_users', [anonymousUserData]);
                 console.log('New anonymous user created:', this.anonymousUserId);
                 return;
             } catch (createError) {
                 // If creation failed due to duplicate, try update
                 if (createError.message.includes('duplicate') || createError.message.includes('conflict')) {
                     console.log('User exists, updating...');
-                    const updateResponse = await this.makeSupabaseRequest(
-                        `anonymous_users?anonymous_user_id=eq.${this.anonymousUserId}`,
-                        'PATCH',
+                    await this.transport.update(
+                        'anonymous_users',
+                        { anonymous_user_id: this.anonymousUserId },
                         {
                             last_seen: new Date().toISOString(),
                             total_sessions: this.sessionCount,
@@ -158,6 +201,8 @@ class UserAnalytics {
     }
 
     async initializeSession() {
+        if (!this.isEnabled || !this.hasConsent('analytics')) return;
+
         const deviceInfo = this.getDeviceInfo();
         const daysSinceFirstVisit = this.userIdentifier ? this.userIdentifier.getDaysSinceFirstVisit() : 0;
 
@@ -178,53 +223,24 @@ class UserAnalytics {
         };
 
         try {
-            await this.makeSupabaseRequest('user_sessions', 'POST', sessionData);
+            await this.transport.insert('user_sessions', [sessionData]);
             console.log('Analytics session initialized:', this.sessionId);
 
             // Initialize user journey tracking
             await this.initializeUserJourney();
         } catch (error) {
             console.error('Failed to initialize analytics session:', error);
+            // Create the session later (ahead of its events) so they can still be stored
+            this.enqueue('user_sessions', sessionData, { prepend: true });
         }
     }
 
-    async makeSupabaseRequest(table, method = 'POST', data = null) {
-        const url = `${this.supabaseUrl}/rest/v1/${table}`;
-        const options = {
-            method,
-            headers: {
-                'apikey': this.supabaseKey,
-                'Authorization': `Bearer ${this.supabaseKey}`,
-                'Content-Type': 'application/json',
-                'Prefer': 'return=representation'
-            }
-        };
-
-        if (data) {
-            options.body = JSON.stringify(data);
-        }
-
-        try {
-            const response = await fetch(url, options);
-
-            if (!response.ok) {
-                const errorText = await response.text();
-                console.error('Supabase request failed:', {
-                    url,
-                    method,
-                    status: response.status,
-                    statusText: response.statusText,
-                    errorBody: errorText
-                });
-                throw new Error(`Supabase request failed: ${response.status} ${response.statusText} - ${errorText}`);
-            }
-
-            const result = await response.json();
-            return result;
-        } catch (error) {
-            console.error('Network error in Supabase request:', error);
-            throw error;
+    // Raw Supabase REST request, used by the debugging helpers
+    async makeSupabaseRequest(table, method = 'POST', data = null, prefer = 'return=representation') {
+        if (typeof this.transport.request !== 'function') {
+            throw new Error('Raw requests need the Supabase analytics transport');
         }
+        return this.transport.request(table, method, data, prefer);
     }
 
     async initializeUserJourney() {
@@ -233,17 +249,17 @@ class UserAnalytics {
             return;
         }
 
+        // The id is generated here so no transport has to return the inserted row
         const journeyData = {
+            id: this.generateEventId(),
             anonymous_user_id: this.anonymousUserId,
             journey_start: this.sessionStartTime.toISOString()
         };
 
         try {
-            const response = await this.makeSupabaseRequest('user_journeys', 'POST', journeyData);
-            if (response && response.length > 0) {
-                this.userJourneyId = response[0].id;
-                console.log('User journey initialized:', this.userJourneyId);
-            }
+            await this.transport.insert('user_journeys', [journeyData]);
+            this.userJourneyId = journeyData.id;
+            console.log('User journey initialized:', this.userJourneyId);
         } catch (error) {
             console.error('Failed to initialize user journey:', error);
             // Check if the table exists
@@ -268,10 +284,7 @@ class UserAnalytics {
             y_coordinate: additionalData.y || null
         };
 
-        this.eventQueue.push({
-            table: 'user_interactions',
-            data: event
-        });
+        this.enqueue('user_interactions', event);
 
         this.tryFlushQueue();
     }
@@ -295,7 +308,10 @@ class UserAnalytics {
         });
     }
 
-    trackSearch(query, resultsCount = null, duration = null, wasCleared = false) {
+    // source is 'typed' for queries typed in the search box and 'autocomplete' for picked
+    // suggestions, with the suggestion type (recent, term, brand, category) and what was typed
+    trackSearch(query, resultsCount = null, duration = null, wasCleared = false,
+        { source = 'typed', suggestionType = null, suggestion = null, typedQuery = null } = {}) {
         const searchData = {
             session_id: this.sessionId,
             anonymous_user_id: this.anonymousUserId,
@@ -308,20 +324,22 @@ class UserAnalytics {
             metadata: {
                 queryLength: query.length,
                 hasSpecialChars: /[^a-zA-Z0-9\s]/.test(query),
-                wordCount: query.trim().split(/\s+/).length
+                wordCount: query.trim().split(/\s+/).length,
+                source,
+                suggestionType,
+                suggestion,
+                typedQuery
             }
         };
 
-        this.eventQueue.push({
-            table: 'search_events',
-            data: searchData
-        });
+        this.enqueue('search_events', searchData);
 
         // Track behavior pattern
         this.trackUserBehaviorPattern('search', {
             query: query,
             resultsCount: resultsCount,
-            wasCleared: wasCleared
+            wasCleared: wasCleared,
+            source
         });
 
         this.tryFlushQueue();
@@ -343,10 +361,7 @@ class UserAnalytics {
             }
         };
 
-        this.eventQueue.push({
-            table: 'filter_events',
-            data: filterData
-        });
+        this.enqueue('filter_events', filterData);
 
         // Track behavior pattern for filter usage
         this.trackUserBehaviorPattern('filter', {
@@ -380,10 +395,7 @@ class UserAnalytics {
             }
         };
 
-        this.eventQueue.push({
-            table: 'product_interactions',
-            data: productData
-        });
+        this.enqueue('product_interactions', productData);
 
         // Track behavior pattern for product interactions
         this.trackUserBehaviorPattern('product_interaction', {
@@ -457,9 +469,15 @@ class UserAnalytics {
         return 0;
     }
 
+    // Register a listener that stop() removes again
+    listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        this.listeners.push([target, type, handler]);
+    }
+
     setupEventListeners() {
         // Global click tracking
-        document.addEventListener('click', (e) => {
+        this.listen(document, 'click', (e) => {
             this.trackClick(e.target, {
                 x: e.clientX,
                 y: e.clientY
@@ -467,7 +485,7 @@ class UserAnalytics {
         });
 
         // Visibility change tracking
-        document.addEventListener('visibilitychange', () => {
+        this.listen(document, 'visibilitychange', () => {
             const now = new Date();
             const visibilityState = document.visibilityState;
 
@@ -489,22 +507,28 @@ class UserAnalytics {
         });
 
         // Beforeunload tracking
-        window.addEventListener('beforeunload', () => {
+        this.listen(window, 'beforeunload', () => {
             this.endSession();
         });
 
+        // Last chance to send the queue; it stays stored in case the beacon is lost
+        this.listen(window, 'pagehide', () => {
+            this.flushWithBeacon();
+        });
+
         // Online/offline tracking
-        window.addEventListener('online', () => {
+        this.listen(window, 'online', () => {
             this.isOnline = true;
+            this.nextRetryTime = 0;
             this.flushQueue(); // Flush queued events when back online
         });
 
-        window.addEventListener('offline', () => {
+        this.listen(window, 'offline', () => {
             this.isOnline = false;
         });
 
         // Window resize tracking
-        window.addEventListener('resize', () => {
+        this.listen(window, 'resize', () => {
             this.trackEvent('resize', 'window', {
                 metadata: {
                     newWidth: window.innerWidth,
@@ -515,20 +539,35 @@ class UserAnalytics {
     }
 
     startHeartbeat() {
-        setInterval(() => {
+        this.timers.push(setInterval(() => {
             this.trackEvent('heartbeat', 'session', {
                 metadata: {
                     sessionDuration: new Date() - this.sessionStartTime,
                     queueSize: this.eventQueue.length
                 }
             });
-        }, this.heartbeatInterval);
+        }, this.heartbeatInterval));
     }
 
     startAutoFlush() {
-        setInterval(() => {
+        this.timers.push(setInterval(() => {
             this.tryFlushQueue();
-        }, this.flushInterval);
+        }, this.flushInterval));
+    }
+
+    // Stop tracking after consent is withdrawn; queued and stored events are discarded
+    stop() {
+        this.isEnabled = false;
+        this.isReady = false;
+
+        this.timers.forEach(timer => clearInterval(timer));
+        this.timers = [];
+        this.listeners.forEach(([target, type, handler]) => target.removeEventListener(type, handler));
+        this.listeners = [];
+
+        this.eventQueue = [];
+        this.inFlightEvents = [];
+        clearStoredAnalyticsEvents();
     }
 
     tryFlushQueue() {
@@ -537,40 +576,198 @@ class UserAnalytics {
         }
     }
 
+    // Queue an event row; each gets a client id that the table deduplicates on
+    enqueue(table, data, { prepend = false } = {}) {
+        if (!this.isEnabled || !this.hasConsent('analytics')) return;
+
+        const id = this.generateEventId();
+        const row = this.authUserId ? { ...data, auth_user_id: this.authUserId } : data;
+        const entry = {
+            id,
+            table,
+            data: this.getConflictColumn(table) === 'event_id' ? { ...row, event_id: id } : row
+        };
+
+        if (prepend) {
+            this.eventQueue.unshift(entry);
+        } else {
+            this.eventQueue.push(entry);
+        }
+
+        if (this.eventQueue.length > this.maxQueueSize) {
+            this.eventQueue.splice(0, this.eventQueue.length - this.maxQueueSize);
+        }
+        this.persistQueue();
+    }
+
+    // Column the table's unique constraint is on, used to ignore re-sent rows
+    getConflictColumn(table) {
+        return table === 'user_sessions' ? 'session_id' : 'event_id';
+    }
+
+    // Pick up the queues left behind by earlier page loads. Another open tab's
+    // queue may be taken too; both then send it, and the event ids keep one copy.
+    loadPersistedQueue() {
+        const events = [];
+        const seen = new Set();
+
+        try {
+            const keys = [];
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                if (key && key.startsWith(this.queueStoragePrefix)) keys.push(key);
+            }
+
+            keys.forEach(key => {
+                let stored = [];
+                try {
+                    stored = JSON.parse(localStorage.getItem(key)) || [];
+                } catch (error) {
+                    console.warn('Discarding unreadable analytics queue:', key);
+                }
+                localStorage.removeItem(key);
+
+                stored.forEach(entry => {
+                    if (entry && entry.id && entry.table && !seen.has(entry.id)) {
+                        seen.add(entry.id);
+                        events.push(entry);
+                    }
+                });
+            });
+        } catch (error) {
+            console.warn('Could not read stored analytics events:', error.message);
+        }
+
+        if (events.length > 0) {
+            console.log(`Replaying ${events.length} stored analytics events`);
+        }
+
+        const queue = events.slice(-this.maxQueueSize);
+        this.saveQueue(queue);
+        return queue;
+    }
+
+    // Store everything not yet confirmed by the server, including the batch in flight
+    persistQueue() {
+        if (!this.isEnabled) return;
+        this.saveQueue([...this.inFlightEvents, ...this.eventQueue]);
+    }
+
+    saveQueue(events) {
+        try {
+            if (events.length > 0) {
+                localStorage.setItem(this.queueStorageKey, JSON.stringify(events.slice(-this.maxQueueSize)));
+            } else {
+                localStorage.removeItem(this.queueStorageKey);
+            }
+        } catch (error) {
+            console.warn('Could not store analytics events:', error.message);
+        }
+    }
+
+    // Group queue entries by table, sessions first since the other rows reference them
+    groupEventsByTable(entries) {
+        const groups = entries.reduce((acc, entry) => {
+            if (!acc[entry.table]) acc[entry.table] = [];
+            acc[entry.table].push(entry);
+            return acc;
+        }, {});
+
+        return Object.entries(groups)
+            .sort(([a], [b]) => (b === 'user_sessions') - (a === 'user_sessions'));
+    }
+
+    // Network failures, timeouts, rate limits and server errors can succeed later
+    isRetryableError(error) {
+        return !error.status || error.status === 408 || error.status === 429 || error.status >= 500;
+    }
+
+    // Exponential backoff with jitter: 5s, 10s, 20s ... up to maxRetryDelay
+    scheduleRetry() {
+        this.retryAttempts++;
+        const delay = Math.min(this.maxRetryDelay, this.flushInterval * Math.pow(2, this.retryAttempts - 1));
+        this.nextRetryTime = Date.now() + delay * (0.5 + Math.random() / 2);
+        console.log(`Retrying analytics upload in ${Math.round((this.nextRetryTime - Date.now()) / 1000)}s`);
+    }
+
     async flushQueue() {
-        if (this.eventQueue.length === 0 || !this.isOnline) {
+        if (this.eventQueue.length === 0 || !this.isOnline || !this.isReady || this.isFlushing) {
+            return;
+        }
+        if (Date.now() < this.nextRetryTime) {
             return;
         }
 
+        this.isFlushing = true;
         const eventsToSend = this.eventQueue.splice(0, this.batchSize);
+        this.inFlightEvents = eventsToSend;
 
-        try {
-            // Group events by table
-            const eventsByTable = eventsToSend.reduce((acc, event) => {
-                if (!acc[event.table]) acc[event.table] = [];
-                acc[event.table].push(event.data);
-                return acc;
-            }, {});
-
-            // Send events to each table
-            const promises = Object.entries(eventsByTable).map(([table, events]) => {
-                if (events.length === 1) {
-                    return this.makeSupabaseRequest(table, 'POST', events[0]);
+        const groups = this.groupEventsByTable(eventsToSend);
+        const retry = [];
+        let sentCount = 0;
+
+        for (const [table, entries] of groups) {
+            // Once a request failed, keep the rest of the batch for the retry
+            if (retry.length > 0) {
+                retry.push(...entries);
+                continue;
+            }
+
+            try {
+                await this.transport.insert(table, entries.map(entry => entry.data), {
+                    onConflict: this.getConflictColumn(table)
+                });
+                sentCount += entries.length;
+            } catch (error) {
+                if (this.isRetryableError(error)) {
+                    console.error('Failed to send analytics events:', error);
+                    retry.push(...entries);
                 } else {
-                    return this.makeSupabaseRequest(table, 'POST', events);
+                    // Retrying a rejected row cannot succeed; drop it rather than block the queue
+                    console.error(`Dropping ${entries.length} analytics events rejected by ${table}:`, error);
                 }
-            });
+            }
+        }
 
-            await Promise.all(promises);
-            console.log(`Sent ${eventsToSend.length} analytics events`);
+        // Re-add failed events to the front of the queue, in their original order
+        if (retry.length > 0) {
+            const retryIds = new Set(retry.map(entry => entry.id));
+            this.eventQueue.unshift(...eventsToSend.filter(entry => retryIds.has(entry.id)));
+            this.scheduleRetry();
+        } else {
+            this.retryAttempts = 0;
+            this.nextRetryTime = 0;
+        }
 
-        } catch (error) {
-            console.error('Failed to send analytics events:', error);
-            // Re-add events to the queue for retry
-            this.eventQueue.unshift(...eventsToSend);
+        this.inFlightEvents = [];
+        this.isFlushing = false;
+        this.persistQueue();
+
+        if (sentCount > 0) {
+            console.log(`Sent ${sentCount} analytics events`);
+        }
+
+        // Keep draining a backlog (e.g. replayed events) while uploads succeed
+        if (retry.length === 0 && this.eventQueue.length > 0) {
+            this.flushQueue();
         }
     }
 
+    // Final flush while the page is being unloaded. The queue is kept in storage:
+    // a beacon gets no response, so the next visit replays it and the event ids
+    // discard rows that already arrived.
+    flushWithBeacon() {
+        const entries = [...this.inFlightEvents, ...this.eventQueue];
+        this.persistQueue();
+        if (entries.length === 0 || !this.isOnline) return;
+
+        this.groupEventsByTable(entries).forEach(([table, tableEntries]) => {
+            this.transport.sendBeacon(table, tableEntries.map(entry => entry.data), {
+                onConflict: this.getConflictColumn(table)
+            });
+        });
+    }
+
     trackUserBehaviorPattern(patternType, patternData) {
         if (!this.anonymousUserId) return;
 
@@ -582,19 +779,16 @@ class UserAnalytics {
             last_observed: new Date().toISOString()
         };
 
-        this.eventQueue.push({
-            table: 'user_behavior_patterns',
-            data: behaviorData
-        });
+        this.enqueue('user_behavior_patterns', behaviorData);
     }
 
     async updateUserPreferences(preferences) {
         if (!this.anonymousUserId) return;
 
         try {
-            await this.makeSupabaseRequest(
-                `user_shopping_preferences?anonymous_user_id=eq.${this.anonymousUserId}`,
-                'PATCH',
+            await this.transport.update(
+                'user_shopping_preferences',
+                { anonymous_user_id: this.anonymousUserId },
                 {
                     ...preferences,
                     updated_at: new Date().toISOString()
@@ -611,7 +805,7 @@ class UserAnalytics {
 
         try {
             // Update session with end time and duration
-            await this.makeSupabaseRequest(`user_sessions?session_id=eq.${this.sessionId}`, 'PATCH', {
+            await this.transport.update('user_sessions', { session_id: this.sessionId }, {
                 end_time: sessionEndTime.toISOString(),
                 session_duration_seconds: sessionDuration
             });
@@ -631,7 +825,7 @@ class UserAnalytics {
         if (!this.userJourneyId) return;
 
         try {
-            await this.makeSupabaseRequest(`user_journeys?id=eq.${this.userJourneyId}`, 'PATCH', {
+            await this.transport.update('user_journeys', { id: this.userJourneyId }, {
                 journey_end: endTime.toISOString(),
                 total_duration_seconds: duration,
                 updated_at: new Date().toISOString()
@@ -641,6 +835,71 @@ class UserAnalytics {
         }
     }
 
+    // Stitch this visitor's history to the signed-in account. The database function
+    // (link_anonymous_user) checks the caller's session, backfills the account on
+    // earlier sessions and events and merges shopping preferences. It returns the
+    // account's profile ID, which this device adopts so all devices share one profile.
+    async linkToAccount(supabase, authUserId) {
+        await this.initPromise;
+        if (!this.isEnabled || !this.anonymousUserId || !supabase || !authUserId) return;
+
+        this.authUserId = authUserId;
+
+        // This session may have started before sign-in
+        try {
+            await this.transport.update('user_sessions', { session_id: this.sessionId }, { auth_user_id: authUserId });
+        } catch (error) {
+            console.error('Failed to attribute session to account:', error);
+        }
+
+        const linkKey = `${this.anonymousUserId}:${authUserId}`;
+        if (this.userIdentifier && this.userIdentifier.getLinkedAccount() === linkKey) return;
+
+        try {
+            const { data: profileId, error } = await supabase.rpc('link_anonymous_user', {
+                p_anonymous_user_id: this.anonymousUserId
+            });
+
+            if (error) {
+                throw error;
+            }
+
+            if (!profileId) {
+                console.warn('Visitor ID is linked to another account; not merging history');
+                return;
+            }
+
+            if (profileId !== this.anonymousUserId) {
+                console.log('Switching to account profile:', profileId);
+                this.anonymousUserId = profileId;
+                if (this.userIdentifier) {
+                    await this.userIdentifier.adoptUserId(profileId);
+                }
+            }
+
+            if (this.userIdentifier) {
+                this.userIdentifier.setLinkedAccount(`${this.anonymousUserId}:${authUserId}`);
+            }
+            console.log('Anonymous history linked to account');
+        } catch (error) {
+            console.error('Failed to link anonymous history to account:', error);
+        }
+    }
+
+    // New rows are no longer attributed to the account after sign-out, and the visitor ID
+    // linked to it is dropped for the device's own (or a new) one
+    async unlinkAccount() {
+        this.authUserId = null;
+        if (!this.userIdentifier) return;
+
+        const previousId = this.anonymousUserId;
+        this.anonymousUserId = await this.userIdentifier.restoreDeviceUserId();
+        if (this.anonymousUserId !== previousId) {
+            console.log('Signed out, switching to visitor ID:', this.anonymousUserId);
+            await this.createOrUpdateAnonymousUser();
+        }
+    }
+
     // Public methods for manual tracking
     trackCustomEvent(eventName, metadata = {}) {
         this.trackEvent('custom', eventName, { metadata });
@@ -671,13 +930,28 @@ class UserAnalytics {
 // Initialize analytics when DOM is ready
 let analytics = null;
 
-function initializeAnalytics(supabaseUrl, supabaseKey) {
-    if (!supabaseUrl || !supabaseKey) {
+// Remove every stored analytics queue, including those of other page loads
+function clearStoredAnalyticsEvents() {
+    try {
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith(ANALYTICS_QUEUE_PREFIX)) keys.push(key);
+        }
+        keys.forEach(key => localStorage.removeItem(key));
+    } catch (error) {
+        console.warn('Could not clear stored analytics events:', error.message);
+    }
+}
+
+// transport is optional; without one events go to Supabase and the credentials are required
+function initializeAnalytics(supabaseUrl, supabaseKey, transport = null) {
+    if (!transport && (!supabaseUrl || !supabaseKey)) {
         console.warn('Analytics not initialized: Missing Supabase credentials');
         return null;
     }
 
-    analytics = new UserAnalytics(supabaseUrl, supabaseKey);
+    analytics = new UserAnalytics(supabaseUrl, supabaseKey, transport);
     window.analytics = analytics; // Make it globally accessible
 
     return analytics;
@@ -685,5 +959,5 @@ function initializeAnalytics(supabaseUrl, supabaseKey) {
 
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { UserAnalytics, initializeAnalytics };
+    module.exports = { UserAnalytics, initializeAnalytics, clearStoredAnalyticsEvents };
 }
\ No newline at end of file
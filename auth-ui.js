@@ -456,22 +456,26 @@ class AuthUI {
         const headerContainer = document.querySelector('header .container');
         if (!headerContainer) return;
 
+        const favoritesCount = window.favoritesManager ? window.favoritesManager.getFavoriteCount() : 0;
+        const favoritesButton = `
+            <button class="favorites-btn" title="View Favorites">
+                <svg width="18" height="18" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                    <path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"
+                          fill="currentColor" stroke="currentColor" stroke-width="1"/>
+                </svg>
+                <span class="favorites-count">${favoritesCount}</span>
+            </button>
+        `;
+
         if (this.authManager && this.authManager.isAuthenticated()) {
             // Show user menu
             const user = this.authManager.getCurrentUser();
-            const favoritesCount = window.favoritesManager ? window.favoritesManager.getFavoriteCount() : 0;
 
             const userMenu = document.createElement('div');
             userMenu.className = 'user-menu';
             userMenu.innerHTML = `
                 <div class="user-info">
-                    <button class="favorites-btn" title="View Favorites">
-                        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                            <path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"
-                                  fill="currentColor" stroke="currentColor" stroke-width="1"/>
-                        </svg>
-                        <span class="favorites-count">${favoritesCount}</span>
-                    </button>
+                    ${favoritesButton}
                     <span class="user-name">${user.user_metadata?.name || user.email}</span>
                     <button class="logout-btn">Sign Out</button>
                 </div>
@@ -493,15 +497,26 @@ class AuthUI {
 
             headerContainer.appendChild(userMenu);
         } else {
-            // Show login button
-            const authButton = document.createElement('button');
-            authButton.className = 'auth-button';
-            authButton.textContent = 'Sign In';
-            authButton.addEventListener('click', () => {
+            // Show guest favorites and the login button
+            const guestMenu = document.createElement('div');
+            guestMenu.className = 'user-menu';
+            guestMenu.innerHTML = `
+                <div class="user-info">
+                    ${favoritesButton}
+                    <button class="auth-button">Sign In</button>
+                </div>
+            `;
+
+            guestMenu.querySelector('.auth-button').addEventListener('click', () => {
                 this.showModal('login');
             });
 
-            headerContainer.appendChild(authButton);
+            guestMenu.querySelector('.favorites-btn').addEventListener('click', (e) => {
+                e.preventDefault();
+                this.showFavoritesModal();
+            });
+
+            headerContainer.appendChild(guestMenu);
         }
     }
 
@@ -0,0 +1,158 @@
+// Product Chunk Builder
+// Splits data/products.json into chunks described by data/manifest.json.
+// Run with Node.js whenever the dataset changes:
+//
+//   node build-chunks.js [input] [--shard-by=category|brand] [--chunk-size=1000] [--head-size=500] [--record-prices]
+//
+// The first chunk ("head") holds the highest-confidence products so the first
+// page renders from it; the rest is sharded by category or brand. The manifest
+// version is a hash of the dataset and is appended to chunk URLs for cache busting.
+//
+// --record-prices adds the new version's price of every product to the
+// product_price_history table (see AUTHENTICATION_SETUP.md). Rows already stored for
+// this version are skipped, so a failed upload can be retried by running it again.
+// It needs SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY in the environment.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+function parseArgs(argv) {
+    const options = {
+        input: 'data/products.json',
+        shardBy: 'category',
+        chunkSize: 1000,
+        headSize: 500,
+        recordPrices: false
+    };
+
+    argv.forEach(arg => {
+        const [key, value] = arg.replace(/^--/, '').split('=');
+        if (key === 'shard-by') options.shardBy = value;
+        else if (key === 'chunk-size') options.chunkSize = parseInt(value);
+        else if (key === 'head-size') options.headSize = parseInt(value);
+        else if (key === 'record-prices') options.recordPrices = true;
+        else if (!arg.startsWith('--')) options.input = arg;
+    });
+
+    if (!['category', 'brand'].includes(options.shardBy)) {
+        throw new Error(`Unknown shard key: ${options.shardBy} (use category or brand)`);
+    }
+
+    return options;
+}
+
+function getShardKey(product, shardBy) {
+    const key = shardBy === 'brand' ? product.original_data?.brand : product.enriched_category;
+    return key || 'other';
+}
+
+function toFileName(key) {
+    return key.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'other';
+}
+
+function getProductId(product) {
+    return product.id || product.original_data?.item_page_url || null;
+}
+
+function getPrice(product) {
+    const price = parseFloat(product.original_data?.price_eur);
+    return Number.isFinite(price) ? price : null;
+}
+
+async function recordPrices(products, version) {
+    const { SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY } = process.env;
+    if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
+        throw new Error('--record-prices needs SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY');
+    }
+
+    const rows = products
+        .map(product => ({ product_id: getProductId(product), dataset_version: version, price_eur: getPrice(product) }))
+        .filter(row => row.product_id);
+
+    const batchSize = 1000;
+    for (let start = 0; start < rows.length; start += batchSize) {
+        const response = await fetch(`${SUPABASE_URL}/rest/v1/product_price_history?on_conflict=product_id,dataset_version`, {
+            method: 'POST',
+            headers: {
+                'apikey': SUPABASE_SERVICE_ROLE_KEY,
+                'Authorization': `Bearer ${SUPABASE_SERVICE_ROLE_KEY}`,
+                'Content-Type': 'application/json',
+                'Prefer': 'resolution=ignore-duplicates,return=minimal'
+            },
+            body: JSON.stringify(rows.slice(start, start + batchSize))
+        });
+
+        if (!response.ok) {
+            throw new Error(`Recording prices failed: ${response.status} ${await response.text()}`);
+        }
+    }
+
+    console.log(`Recorded ${rows.length} prices for version ${version}`);
+}
+
+function buildChunks(products, { shardBy, chunkSize, headSize }) {
+    const byConfidence = (a, b) => (b.confidence_score || 0) - (a.confidence_score || 0);
+    const sorted = products.slice().sort(byConfidence);
+
+    const chunks = [{ name: 'head', shard: null, products: sorted.slice(0, headSize) }];
+
+    const shards = new Map();
+    sorted.slice(headSize).forEach(product => {
+        const key = getShardKey(product, shardBy);
+        if (!shards.has(key)) shards.set(key, []);
+        shards.get(key).push(product);
+    });
+
+    Array.from(shards.keys()).sort().forEach(key => {
+        const shardProducts = shards.get(key);
+        for (let start = 0, part = 0; start < shardProducts.length; start += chunkSize, part++) {
+            chunks.push({
+                name: `${toFileName(key)}-${part}`,
+                shard: { [shardBy]: key },
+                products: shardProducts.slice(start, start + chunkSize)
+            });
+        }
+    });
+
+    return chunks;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const source = fs.readFileSync(options.input, 'utf8');
+    const products = JSON.parse(source);
+
+    const dataDir = path.dirname(options.input);
+    const chunkDir = path.join(dataDir, 'chunks');
+    const version = crypto.createHash('sha1').update(source).digest('hex').slice(0, 12);
+
+    // Chunks from an older version are no longer referenced
+    fs.rmSync(chunkDir, { recursive: true, force: true });
+    fs.mkdirSync(chunkDir, { recursive: true });
+
+    const chunks = buildChunks(products, options);
+    const manifest = {
+        version,
+        generatedAt: new Date().toISOString(),
+        count: products.length,
+        shardBy: options.shardBy,
+        chunks: chunks.map(chunk => {
+            const file = `chunks/${chunk.name}.json`;
+            fs.writeFileSync(path.join(dataDir, file), JSON.stringify(chunk.products));
+            return { file, count: chunk.products.length, shard: chunk.shard };
+        })
+    };
+
+    fs.writeFileSync(path.join(dataDir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+    console.log(`Wrote ${manifest.chunks.length} chunks (${products.length} products), version ${version}`);
+
+    if (options.recordPrices) {
+        await recordPrices(products, version);
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -0,0 +1,992 @@
+/**
+ * Catalogue Engine
+ * Owns the product dataset, the search index and filter evaluation.
+ * It runs inside catalogue-worker.js so searching and filtering never block
+ * the page; CatalogueEngineClient is the main-thread side of that protocol.
+ *
+ * The dataset is either a plain product array or a manifest written by
+ * build-chunks.js: { version, count, shardBy, chunks: [{ file, count, shard }] }.
+ * The first chunk holds the highest-confidence products, so the first page
+ * can render before the remaining chunks have arrived. Chunked datasets are
+ * kept in ProductCache: a complete cached version is used straight away and
+ * the manifest is checked for a newer one in the background.
+ */
+
+class CatalogueEngine {
+    constructor() {
+        this.products = [];
+        this.defaultOrder = [];  // product indexes by confidence, used when there is no search
+        this.searchIndex = new SearchIndex();
+        this.queryParser = new SearchQueryParser();
+        this.cache = typeof ProductCache !== 'undefined' ? new ProductCache() : null;
+        this.manifestUrl = null;
+        this.manifest = null;
+        this.version = null;     // manifest version, used to bust caches
+        this.fromCache = false;  // true when this version's chunks are read from the cache
+        this.pendingChunks = []; // manifest chunks still to load
+        this.favoriteCounts = null; // product id -> number of users who saved it
+        this.synonymsLoaded = Promise.resolve(); // the index is built once the synonyms are in
+        this.categoryProducts = new Map(); // enriched category -> product indexes
+        this.titleTokens = [];             // product index -> Set of title tokens, filled lazily
+        this.productTexts = [];            // product index -> normalized title and description, filled lazily
+        this.attributeNames = new Set();   // attributes that can be used as query fields (color:black)
+        this.brandNames = [];              // sorted, for autocomplete
+        this.categoryNames = [];
+        this.searchId = 0;                 // increases with every search
+        this.lastSearch = null;            // { id, results: product index -> search result, explain }
+        this.similarityWeights = {
+            attributes: 3, // shared attribute values, scaled by confidence
+            title: 2,      // title token overlap
+            price: 1       // price proximity
+        };
+    }
+
+    async fetchJson(url, options = {}) {
+        const response = await fetch(url, options);
+        if (!response.ok) {
+            throw new Error(`Failed to load products: ${response.status} ${response.statusText}`);
+        }
+        return response.json();
+    }
+
+    // Search works without synonyms, so a missing or broken file only logs a warning
+    loadSynonyms(url) {
+        this.synonymsLoaded = this.fetchJson(url)
+            .then(dictionary => this.setSynonyms(dictionary.synonyms))
+            .catch(error => console.warn('Search synonyms unavailable:', error.message));
+        return this.synonymsLoaded;
+    }
+
+    setRankingProfile(profile) {
+        this.searchIndex.setRankingProfile(profile);
+    }
+
+    setSynonyms(groups) {
+        this.searchIndex.setSynonyms(groups);
+
+        // Products that were indexed before the synonyms arrived
+        if (this.products.length > 0) {
+            this.searchIndex.build(this.products);
+            this.titleTokens = [];
+        }
+    }
+
+    // Resolves with the first chunk; call loadRemainingChunks() for the rest
+    async load(url) {
+        const manifestUrl = new URL(url, self.location.href).href;
+
+        // Start from a complete cached version when there is one
+        let manifest = await this.cache?.getManifest(manifestUrl);
+        if (manifest && !(await this.cache.hasAllChunks(manifest))) {
+            manifest = null;
+        }
+        this.fromCache = Boolean(manifest);
+
+        if (!manifest) {
+            // Always revalidate the manifest: its version decides which chunks are fetched
+            const data = await this.fetchJson(manifestUrl, { cache: 'no-cache' });
+            if (Array.isArray(data)) {
+                // A flat products.json is cached as a one-chunk version of itself
+                manifest = this.getFlatManifest(manifestUrl, data);
+                await this.cache?.saveChunk(manifest.version, manifest.chunks[0].file, data);
+                this.manifestUrl = manifestUrl;
+                this.manifest = manifest;
+                this.version = manifest.version;
+                this.pendingChunks = [];
+
+                await this.synonymsLoaded;
+                return {
+                    ...this.setProducts(data),
+                    version: manifest.version,
+                    fromCache: false,
+                    loadedCount: data.length,
+                    totalCount: data.length,
+                    complete: true
+                };
+            }
+            manifest = data;
+        }
+
+        this.manifestUrl = manifestUrl;
+        this.manifest = manifest;
+        this.version = manifest.version;
+        this.pendingChunks = manifest.chunks.slice(1);
+
+        const products = await this.loadChunk(manifest.chunks[0]);
+        await this.synonymsLoaded;
+        return {
+            ...this.setProducts(products),
+            version: manifest.version,
+            fromCache: this.fromCache,
+            loadedCount: products.length,
+            totalCount: manifest.count,
+            complete: this.pendingChunks.length === 0
+        };
+    }
+
+    // Stands in for a build-chunks.js manifest; the version is a hash of the file's content
+    getFlatManifest(url, products) {
+        const text = JSON.stringify(products);
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+        }
+
+        return {
+            version: `flat-${(hash >>> 0).toString(16)}`,
+            count: products.length,
+            flat: true,
+            chunks: [{ file: new URL(url).pathname.split('/').pop(), count: products.length }]
+        };
+    }
+
+    getChunkUrl(manifestUrl, manifest, chunk) {
+        const chunkUrl = new URL(chunk.file, manifestUrl);
+        chunkUrl.searchParams.set('v', manifest.version);
+        return chunkUrl.href;
+    }
+
+    async loadChunk(chunk) {
+        if (this.fromCache) {
+            const cached = await this.cache.getChunk(this.version, chunk.file);
+            if (cached) return cached;
+        }
+
+        const products = await this.fetchJson(this.getChunkUrl(this.manifestUrl, this.manifest, chunk));
+        await this.cache?.saveChunk(this.version, chunk.file, products);
+        return products;
+    }
+
+    // Loads the remaining chunks in parallel and adds them in manifest order
+    async loadRemainingChunks(onChunk) {
+        const chunks = this.pendingChunks;
+        this.pendingChunks = [];
+
+        const requests = chunks.map(chunk => this.loadChunk(chunk));
+        for (let i = 0; i < requests.length; i++) {
+            const chunk = this.addProducts(await requests[i]);
+            onChunk({
+                ...chunk,
+                loadedCount: this.products.length,
+                complete: i === requests.length - 1
+            });
+        }
+
+        // Every chunk of a downloaded version is stored now, so it can be used next time
+        if (this.manifest && !this.fromCache) {
+            await this.commitCachedVersion(this.manifestUrl, this.manifest);
+        }
+    }
+
+    async commitCachedVersion(manifestUrl, manifest) {
+        if (!this.cache) return;
+        if (await this.cache.saveManifest(manifestUrl, manifest)) {
+            await this.cache.deleteOtherVersions(manifest.version);
+        }
+    }
+
+    // After starting from the cache: download a newer version for the next visit.
+    // Resolves with the new version, or null when the cache is current or offline.
+    async refreshCache() {
+        if (!this.fromCache) return null;
+
+        let manifest;
+        try {
+            manifest = await this.fetchJson(this.manifestUrl, { cache: 'no-cache' });
+        } catch (error) {
+            console.warn('Could not check for a newer catalogue:', error.message);
+            return null;
+        }
+
+        let flatProducts = null;
+        if (Array.isArray(manifest)) {
+            flatProducts = manifest;
+            manifest = this.getFlatManifest(this.manifestUrl, flatProducts);
+        }
+        if (manifest.version === this.version) return null;
+
+        try {
+            for (const chunk of manifest.chunks) {
+                const products = flatProducts || await this.fetchJson(this.getChunkUrl(this.manifestUrl, manifest, chunk));
+                await this.cache.saveChunk(manifest.version, chunk.file, products);
+            }
+        } catch (error) {
+            console.warn('Could not download the newer catalogue:', error.message);
+            return null;
+        }
+
+        await this.commitCachedVersion(this.manifestUrl, manifest);
+        return manifest.version;
+    }
+
+    setProducts(products) {
+        this.products = products;
+
+        // Sort by confidence score (highest first) - hidden from user
+        this.products.sort((a, b) => (b.confidence_score || 0) - (a.confidence_score || 0));
+        this.defaultOrder = this.products.map((_, index) => index);
+
+        const catalogue = this.preprocessData();
+        this.searchIndex.build(this.products);
+
+        return {
+            products: this.products,
+            ...catalogue
+        };
+    }
+
+    // Append a chunk; existing product indexes stay valid
+    addProducts(products) {
+        const byConfidence = (a, b) => (b.confidence_score || 0) - (a.confidence_score || 0);
+        products.sort(byConfidence);
+
+        products.forEach(product => {
+            this.products.push(product);
+            this.searchIndex.addProduct(product);
+        });
+
+        this.defaultOrder = this.products
+            .map((_, index) => index)
+            .sort((a, b) => byConfidence(this.products[a], this.products[b]) || a - b);
+
+        return {
+            products,
+            ...this.preprocessData()
+        };
+    }
+
+    preprocessData() {
+        const brands = new Set();
+        const categories = new Set();
+        const categoryAttributes = {};
+        const attributeValues = {};
+        this.categoryProducts = new Map();
+        this.titleTokens = [];
+        this.productTexts = [];
+        this.attributeNames = new Set();
+
+        this.products.forEach((item, index) => {
+            // Extract brands
+            if (item.original_data?.brand) {
+                brands.add(item.original_data.brand);
+            }
+
+            Object.keys(item.attributes || {}).forEach(attr => this.attributeNames.add(attr));
+
+            // Extract enriched categories and the attribute values seen in each
+            const category = item.enriched_category;
+            if (!category) return;
+
+            categories.add(category);
+            if (!this.categoryProducts.has(category)) {
+                this.categoryProducts.set(category, []);
+            }
+            this.categoryProducts.get(category).push(index);
+
+            if (!attributeValues[category]) {
+                attributeValues[category] = {};
+            }
+
+            Object.entries(item.attributes || {}).forEach(([attr, attribute]) => {
+                if (!attribute?.value) return;
+                if (!attributeValues[category][attr]) {
+                    attributeValues[category][attr] = new Set();
+                }
+                attributeValues[category][attr].add(attribute.value);
+            });
+        });
+
+        Object.entries(attributeValues).forEach(([category, attributes]) => {
+            categoryAttributes[category] = Object.keys(attributes);
+            Object.keys(attributes).forEach(attr => {
+                attributes[attr] = Array.from(attributes[attr]);
+            });
+        });
+
+        this.brandNames = Array.from(brands).sort();
+        this.categoryNames = Array.from(categories).sort();
+
+        return {
+            brands: this.brandNames,
+            categories: this.categoryNames,
+            categoryAttributes,
+            attributeValues,
+            hasDates: this.products.some(item => this.getProductTimestamp(item) !== null)
+        };
+    }
+
+    getProductId(item) {
+        return item.id || item.original_data?.item_page_url;
+    }
+
+    getProductTimestamp(item) {
+        const timestamp = Date.parse(item.original_data?.created_at);
+        return Number.isNaN(timestamp) ? null : timestamp;
+    }
+
+    setFavoriteCounts(counts) {
+        this.favoriteCounts = counts;
+    }
+
+    // Filter state arrives as plain arrays; build Sets once per query
+    prepareFilters(filters) {
+        const attributes = {};
+        Object.entries(filters.attributes || {}).forEach(([attr, values]) => {
+            if (values.length > 0) attributes[attr] = new Set(values);
+        });
+
+        return {
+            brands: new Set(filters.brands || []),
+            categories: new Set(filters.categories || []),
+            attributes,
+            priceMin: filters.priceMin ?? null,
+            priceMax: filters.priceMax ?? null,
+            minConfidence: filters.attributeConfidence?.min ?? 0,
+            confidenceOverrides: filters.attributeConfidence?.overrides || {}
+        };
+    }
+
+    // Low-confidence enrichment tags never match an attribute filter
+    isConfidentAttribute(attr, attribute, filters) {
+        const minConfidence = filters.confidenceOverrides[attr] ?? filters.minConfidence;
+        return (attribute.confidence ?? 1) >= minConfidence;
+    }
+
+    // Names of the filter dimensions the item fails ('brand', 'category', 'price', 'attr:<name>'),
+    // stopping once `limit` failures are found
+    getFailedFilters(item, filters, limit = Infinity) {
+        const failed = [];
+        const fail = (dimension) => {
+            failed.push(dimension);
+            return failed.length >= limit;
+        };
+
+        // Brand filter
+        if (filters.brands.size > 0 && !filters.brands.has(item.original_data?.brand)) {
+            if (fail('brand')) return failed;
+        }
+
+        // Category filter
+        if (filters.categories.size > 0 && !filters.categories.has(item.enriched_category)) {
+            if (fail('category')) return failed;
+        }
+
+        // Price filter
+        if (filters.priceMin !== null || filters.priceMax !== null) {
+            const price = item.original_data?.price_eur;
+            if (price) {
+                if ((filters.priceMin !== null && price < filters.priceMin) ||
+                    (filters.priceMax !== null && price > filters.priceMax)) {
+                    if (fail('price')) return failed;
+                }
+            }
+        }
+
+        // Attribute filters
+        for (const [attr, values] of Object.entries(filters.attributes)) {
+            const attribute = item.attributes?.[attr];
+            if (!attribute?.value || !values.has(attribute.value) || !this.isConfidentAttribute(attr, attribute, filters)) {
+                if (fail(`attr:${attr}`)) return failed;
+            }
+        }
+
+        return failed;
+    }
+
+    matchesFilters(item, filters) {
+        return this.getFailedFilters(item, filters, 1).length === 0;
+    }
+
+    // Query conditions whose field the dataset has no values for are reported and ignored
+    prepareQuery(searchQuery) {
+        const parsed = this.queryParser.parse(searchQuery);
+        const errors = [...parsed.errors];
+
+        const conditions = parsed.conditions.filter(condition => {
+            if (condition.type !== 'field' || ['brand', 'category'].includes(condition.field) ||
+                this.attributeNames.has(condition.field)) {
+                return true;
+            }
+            errors.push(`Unknown filter "${condition.field}:", use brand:, category:, price: or an attribute such as color:`);
+            return false;
+        });
+
+        return { text: parsed.text, conditions, errors };
+    }
+
+    getProductText(index) {
+        if (this.productTexts[index] === undefined) {
+            const data = this.products[index].original_data || {};
+            this.productTexts[index] = ` ${this.queryParser.normalize(`${data.title || ''} ${data.description || ''}`)} `;
+        }
+        return this.productTexts[index];
+    }
+
+    // Field values match regardless of case and plural endings, either whole or by one of
+    // their words, so category:trousers finds "trousers_pants" and category:dress "dresses"
+    matchesQueryValue(actual, value) {
+        const normalized = this.queryParser.normalize(actual);
+        if (!normalized) return false;
+
+        const isPlural = (plural, word) => plural === `${word}s` || plural === `${word}es`;
+        return [normalized, ...normalized.split(' ')].some(candidate =>
+            candidate === value || isPlural(candidate, value) || isPlural(value, candidate));
+    }
+
+    matchesQueryCondition(index, condition, filters) {
+        const item = this.products[index];
+
+        switch (condition.type) {
+            case 'text':
+                return this.getProductText(index).includes(` ${condition.value} `);
+            case 'price': {
+                const price = item.original_data?.price_eur;
+                if (!price) return false;
+                if (condition.min !== null && (condition.exclusiveMin ? price <= condition.min : price < condition.min)) return false;
+                if (condition.max !== null && (condition.exclusiveMax ? price >= condition.max : price > condition.max)) return false;
+                return true;
+            }
+            case 'field': {
+                if (condition.field === 'brand') return this.matchesQueryValue(item.original_data?.brand, condition.value);
+                if (condition.field === 'category') return this.matchesQueryValue(item.enriched_category, condition.value);
+
+                const attribute = item.attributes?.[condition.field];
+                return Boolean(attribute?.value) &&
+                    this.isConfidentAttribute(condition.field, attribute, filters) &&
+                    this.matchesQueryValue(attribute.value, condition.value);
+            }
+            default:
+                return true;
+        }
+    }
+
+    matchesQuery(index, conditions, filters) {
+        return conditions.every(condition =>
+            this.matchesQueryCondition(index, condition, filters) !== condition.negate);
+    }
+
+    query(filters) {
+        const searchQuery = (filters.searchQuery || '').trim();
+        // Operators (brand:zara, price:<50, -wool, "quoted phrases") become conditions;
+        // what is left is ranked by the search index
+        const parsedQuery = this.prepareQuery(searchQuery);
+        const searchText = parsedQuery.text;
+        const searchTokens = this.searchIndex.tokenize(searchText);
+
+        // Start with relevance-ranked search results if there's a search query
+        let candidates;
+        let searchResults = null;
+        if (searchTokens.length > 0) {
+            searchResults = this.searchIndex.search(searchText);
+            candidates = searchResults.map(result => result.productIndex);
+            console.log(`Advanced search for "${searchText}" found ${candidates.length} results`);
+        } else {
+            candidates = this.defaultOrder;
+        }
+
+        // Filter and count facets in one pass. A product failing no filter counts
+        // towards every facet; one failing a single filter still counts towards
+        // that filter's own facet (disjunctive faceting).
+        const preparedFilters = this.prepareFilters(filters);
+        const facets = { brands: {}, categories: {}, attributes: {} };
+        const matching = [];
+
+        // Query conditions are part of the search, so excluded products count towards no facet
+        if (parsedQuery.conditions.length > 0) {
+            candidates = candidates.filter(index => this.matchesQuery(index, parsedQuery.conditions, preparedFilters));
+        }
+
+        candidates.forEach(index => {
+            const item = this.products[index];
+            const failed = this.getFailedFilters(item, preparedFilters, 2);
+
+            if (failed.length === 0) {
+                matching.push(index);
+                this.countFacets(item, facets, preparedFilters);
+            } else if (failed.length === 1) {
+                this.countFacets(item, facets, preparedFilters, failed[0]);
+            }
+        });
+
+        const productIndexes = this.sortProducts(matching, filters.sort);
+
+        // Highlights (and score breakdowns when asked for) of the first `matchCount` results;
+        // getSearchMatches() works out the others when they are shown
+        this.lastSearch = searchResults ? {
+            id: ++this.searchId,
+            results: new Map(searchResults.map(result => [result.productIndex, result])),
+            explain: Boolean(filters.explainScores)
+        } : null;
+        const searchMatches = this.lastSearch
+            ? this.getSearchMatches(this.lastSearch.id, productIndexes.slice(0, filters.matchCount || 0))
+            : {};
+
+        return {
+            productIndexes,
+            facets,
+            searchTokens,
+            searchId: this.lastSearch ? this.lastSearch.id : null,
+            searchMatches,
+            queryErrors: parsedQuery.errors,
+            suggestions: searchText && productIndexes.length === 0
+                ? this.generateSearchSuggestions(searchText)
+                : []
+        };
+    }
+
+    // [start, end] character ranges of the words in text that analyze to one of `words`
+    getHighlightRanges(text, words) {
+        const ranges = [];
+        if (!text) return ranges;
+
+        const wordPattern = /[\p{L}\p{N}]+(?:[-'’][\p{L}\p{N}]+)*/gu;
+        let match;
+        while ((match = wordPattern.exec(text)) !== null) {
+            if (this.searchIndex.analyzeText(match[0]).some(word => words.has(word))) {
+                ranges.push([match.index, match.index + match[0].length]);
+            }
+        }
+        return ranges;
+    }
+
+    // About `length` characters of the description around its first matching word
+    getDescriptionSnippet(description, words, length = 140) {
+        const ranges = this.getHighlightRanges(description, words);
+        if (ranges.length === 0) return null;
+
+        const [firstStart, firstEnd] = ranges[0];
+        let start = Math.max(0, firstStart - 40);
+        if (start > 0) {
+            const space = description.indexOf(' ', start);
+            if (space !== -1 && space < firstStart) start = space + 1;
+        }
+        let end = Math.min(description.length, start + length);
+        if (end < description.length) {
+            const space = description.lastIndexOf(' ', end);
+            if (space > firstEnd) end = space;
+        }
+
+        return {
+            text: description.slice(start, end),
+            ranges: ranges
+                .filter(([rangeStart, rangeEnd]) => rangeStart >= start && rangeEnd <= end)
+                .map(([rangeStart, rangeEnd]) => [rangeStart - start, rangeEnd - start]),
+            clippedStart: start > 0,
+            clippedEnd: end < description.length
+        };
+    }
+
+    // Search matches of the given results of search `searchId`, by product index;
+    // null once a newer search has replaced it
+    getSearchMatches(searchId, productIndexes) {
+        if (!this.lastSearch || this.lastSearch.id !== searchId) return null;
+
+        const matches = {};
+        productIndexes.forEach(index => {
+            const result = this.lastSearch.results.get(index);
+            if (result) {
+                matches[index] = this.getSearchMatch(result, this.lastSearch.explain);
+            }
+        });
+        return matches;
+    }
+
+    // Title highlights of a search result, a description snippet when a term was only
+    // found in the description, and with `explain` the parts its score is made of
+    getSearchMatch(result, explain = false) {
+        const data = this.products[result.productIndex].original_data || {};
+        const words = new Set();
+        result.terms.forEach(term => term.words.forEach(word => words.add(word)));
+
+        const match = { title: this.getHighlightRanges(data.title, words), snippet: null };
+        const inDescriptionOnly = result.terms.some(term =>
+            term.parts.exactTitle + term.parts.fuzzyTitle === 0 &&
+            term.parts.exactDescription + term.parts.fuzzyDescription > 0);
+        if (inDescriptionOnly || match.title.length === 0) {
+            match.snippet = this.getDescriptionSnippet(data.description, words);
+        }
+
+        if (explain) {
+            match.breakdown = {
+                score: result.score,
+                coverageBonus: result.coverageBonus,
+                terms: result.terms.map(term => ({
+                    term: term.term,
+                    score: term.score,
+                    words: Array.from(term.words),
+                    parts: term.parts
+                }))
+            };
+        }
+        return match;
+    }
+
+    // Stable sort, so ties keep relevance (or confidence) order
+    sortProducts(productIndexes, sort = 'relevance') {
+        const missingLast = (getValue, direction) => (a, b) => {
+            const valueA = getValue(this.products[a]);
+            const valueB = getValue(this.products[b]);
+            if (valueA === valueB) return 0;
+            if (valueA === null) return 1;
+            if (valueB === null) return -1;
+            return direction * (valueA < valueB ? -1 : 1);
+        };
+
+        const price = item => item.original_data?.price_eur || null;
+        const brand = item => item.original_data?.brand ? item.original_data.brand.toLowerCase() : null;
+        const favorites = item => this.favoriteCounts?.[this.getProductId(item)] || 0;
+
+        const comparators = {
+            price_asc: missingLast(price, 1),
+            price_desc: missingLast(price, -1),
+            brand_asc: missingLast(brand, 1),
+            newest: missingLast(item => this.getProductTimestamp(item), -1),
+            most_favorited: this.favoriteCounts ? missingLast(favorites, -1) : null
+        };
+
+        const comparator = comparators[sort];
+        return comparator ? productIndexes.slice().sort(comparator) : productIndexes;
+    }
+
+    // Add the item to every facet, or only to the given dimension
+    countFacets(item, facets, filters, onlyDimension = null) {
+        const increment = (counts, key) => {
+            counts[key] = (counts[key] || 0) + 1;
+        };
+        const counts = (dimension) => onlyDimension === null || onlyDimension === dimension;
+
+        if (counts('brand') && item.original_data?.brand) {
+            increment(facets.brands, item.original_data.brand);
+        }
+
+        if (counts('category') && item.enriched_category) {
+            increment(facets.categories, item.enriched_category);
+        }
+
+        Object.entries(item.attributes || {}).forEach(([attr, attribute]) => {
+            if (!attribute?.value || !counts(`attr:${attr}`)) return;
+            if (!this.isConfidentAttribute(attr, attribute, filters)) return;
+            if (!facets.attributes[attr]) facets.attributes[attr] = {};
+            increment(facets.attributes[attr], attribute.value);
+        });
+    }
+
+    // Products related to the given ones, best match first. Only products sharing
+    // a seed's category are candidates; scores are summed across seeds.
+    getSimilarProducts(productIds, limit = 12) {
+        const seedIds = new Set(productIds);
+        const seeds = [];
+        this.products.forEach((item, index) => {
+            if (seedIds.has(this.getProductId(item))) seeds.push(index);
+        });
+
+        const scores = new Map();
+        seeds.forEach(seed => {
+            const category = this.products[seed].enriched_category;
+            (this.categoryProducts.get(category) || []).forEach(candidate => {
+                if (seedIds.has(this.getProductId(this.products[candidate]))) return;
+
+                const score = this.similarity(seed, candidate);
+                if (score > 0) scores.set(candidate, (scores.get(candidate) || 0) + score);
+            });
+        });
+
+        return Array.from(scores.keys())
+            .sort((a, b) => scores.get(b) - scores.get(a) || a - b)
+            .slice(0, limit);
+    }
+
+    // Similarity of two products in the same category, between 0 and the sum of the weights
+    similarity(indexA, indexB) {
+        const a = this.products[indexA];
+        const b = this.products[indexB];
+        const weights = this.similarityWeights;
+        let score = 0;
+
+        // Matching attribute values, trusted as much as the less confident tag
+        const attributes = Object.entries(a.attributes || {}).filter(([, attribute]) => attribute?.value);
+        if (attributes.length > 0) {
+            let shared = 0;
+            attributes.forEach(([attr, attribute]) => {
+                const other = b.attributes?.[attr];
+                if (other?.value === attribute.value) {
+                    shared += Math.min(attribute.confidence ?? 1, other.confidence ?? 1);
+                }
+            });
+            score += weights.attributes * shared / attributes.length;
+        }
+
+        // Title token overlap (Jaccard)
+        const tokensA = this.getTitleTokens(indexA);
+        const tokensB = this.getTitleTokens(indexB);
+        if (tokensA.size > 0 && tokensB.size > 0) {
+            let overlap = 0;
+            tokensA.forEach(token => {
+                if (tokensB.has(token)) overlap++;
+            });
+            score += weights.title * overlap / (tokensA.size + tokensB.size - overlap);
+        }
+
+        // Price proximity
+        const priceA = a.original_data?.price_eur;
+        const priceB = b.original_data?.price_eur;
+        if (priceA && priceB) {
+            score += weights.price * (1 - Math.abs(priceA - priceB) / Math.max(priceA, priceB));
+        }
+
+        return score;
+    }
+
+    getTitleTokens(index) {
+        if (!this.titleTokens[index]) {
+            this.titleTokens[index] = new Set(this.searchIndex.tokenize(this.products[index].original_data?.title));
+        }
+        return this.titleTokens[index];
+    }
+
+    generateSearchSuggestions(query) {
+        return this.searchIndex.suggest(query, 5);
+    }
+
+    // Autocomplete for the search box: the last word completed from title words, and
+    // brands and categories whose name (or a word of it) starts with what was typed.
+    // Operators (brand:, -word, quotes) are left alone.
+    autocomplete(query, limit = 5) {
+        const result = { query, terms: [], brands: [], categories: [] };
+        if (!query.trim() || /[:"]|(^|\s)-/.test(query)) return result;
+
+        const normalized = this.queryParser.normalize(query);
+        if (!/\s$/.test(query)) {
+            const words = normalized.split(' ');
+            const prefix = words.pop();
+            result.terms = this.searchIndex.complete(prefix, limit)
+                .map(word => [...words, word].join(' '));
+        }
+
+        const startsWithQuery = (name) => {
+            const normalizedName = this.queryParser.normalize(name);
+            return normalizedName.startsWith(normalized) ||
+                normalizedName.split(' ').some(word => word.startsWith(normalized));
+        };
+        result.brands = this.brandNames.filter(startsWithQuery).slice(0, 3);
+        result.categories = this.categoryNames.filter(startsWithQuery).slice(0, 3);
+
+        return result;
+    }
+}
+
+class CatalogueEngineClient {
+    constructor(workerUrl = 'catalogue-worker.js') {
+        this.nextRequestId = 1;
+        this.latestQueryId = 0;
+        this.pendingRequests = new Map(); // requestId -> { type, resolve, reject }
+        this.loadHandlers = new Map();    // load requestId -> { onChunk, onUpdate, onChunkError, onReload }
+        this.worker = null;
+        this.engine = null;
+        this.rankingProfile = null; // replayed on the in-thread engine if the worker fails
+        this.synonymsUrl = null;
+        this.favoriteCounts = null;
+        this.lastLoad = null;       // { requestId, url, handlers }, loaded again if the worker fails
+
+        if (typeof Worker !== 'undefined') {
+            try {
+                this.worker = new Worker(workerUrl);
+                this.worker.addEventListener('message', (e) => this.handleMessage(e.data));
+                this.worker.addEventListener('error', (e) => this.handleWorkerError(e));
+            } catch (error) {
+                console.warn('Catalogue worker unavailable, searching on the main thread:', error.message);
+                this.worker = null;
+            }
+        }
+
+        if (!this.worker) {
+            this.engine = new CatalogueEngine();
+        }
+    }
+
+    // The worker script failed (importScripts, a syntax error or an uncaught exception):
+    // fail whatever it still owed so callers can retry, then search on the main thread.
+    // A dataset the worker had already loaded is loaded again there (see load()).
+    handleWorkerError(event) {
+        console.error('Catalogue worker error, searching on the main thread:', event.message);
+        event.preventDefault?.();
+        if (!this.worker) return;
+
+        this.worker.terminate();
+        this.worker = null;
+        this.engine = new CatalogueEngine();
+        if (this.rankingProfile) this.engine.setRankingProfile(this.rankingProfile);
+        if (this.synonymsUrl) this.engine.loadSynonyms(this.synonymsUrl);
+        if (this.favoriteCounts) this.engine.setFavoriteCounts(this.favoriteCounts);
+
+        const pending = Array.from(this.pendingRequests.values());
+        const reload = this.lastLoad && !this.pendingRequests.has(this.lastLoad.requestId)
+            ? this.lastLoad
+            : null;
+        this.pendingRequests.clear();
+        this.loadHandlers.clear();
+
+        const getError = () => {
+            const error = new Error(`Catalogue worker failed: ${event.message}`);
+            error.workerFailed = true;
+            return error;
+        };
+        pending.forEach(request => request.reject(getError()));
+
+        if (reload) {
+            const { handlers } = reload;
+            this.load(reload.url, handlers)
+                .then(catalogue => handlers.onReload?.(catalogue))
+                .catch(error => handlers.onChunkError?.(error));
+        }
+    }
+
+    // onChunk receives each chunk that streams in after the first one;
+    // onChunkError(error) runs instead when one of them fails, and no more follow;
+    // onUpdate(version) runs when a newer dataset was cached for the next visit;
+    // onReload(catalogue) runs when the worker failed after the load resolved and the
+    // dataset was loaded again on the main thread: product indexes start over from it
+    load(url, { onChunk = null, onUpdate = null, onChunkError = null, onReload = null } = {}) {
+        const handlers = { onChunk, onUpdate, onChunkError, onReload };
+        this.lastLoad = { requestId: this.nextRequestId, url, handlers };
+        return this.request('load', { url }, handlers);
+    }
+
+    loadSynonyms(url) {
+        this.synonymsUrl = url;
+        return this.request('synonyms', { url });
+    }
+
+    setRankingProfile(profile) {
+        this.rankingProfile = profile;
+        return this.request('ranking', { profile });
+    }
+
+    // Resolves with null when a newer query supersedes this one
+    query(filters) {
+        return this.request('query', { filters });
+    }
+
+    setFavoriteCounts(counts) {
+        this.favoriteCounts = counts;
+        return this.request('favoriteCounts', { counts });
+    }
+
+    similar(productIds, limit) {
+        return this.request('similar', { productIds, limit });
+    }
+
+    autocomplete(query, limit) {
+        return this.request('autocomplete', { query, limit });
+    }
+
+    getSearchMatches(searchId, productIndexes) {
+        return this.request('searchMatches', { searchId, productIndexes });
+    }
+
+    request(type, payload, loadHandlers = null) {
+        const requestId = this.nextRequestId++;
+        if (loadHandlers) this.loadHandlers.set(requestId, loadHandlers);
+
+        if (type === 'query') {
+            this.cancelStaleQueries();
+            this.latestQueryId = requestId;
+        }
+
+        return new Promise((resolve, reject) => {
+            this.pendingRequests.set(requestId, { type, resolve, reject });
+
+            if (this.worker) {
+                this.worker.postMessage({ type, requestId, ...payload });
+            } else {
+                this.runLocally(type, requestId, payload);
+            }
+        });
+    }
+
+    async runLocally(type, requestId, payload) {
+        // Yield first so a burst of queries collapses to the latest one
+        await Promise.resolve();
+        if (!this.pendingRequests.has(requestId)) return;
+
+        try {
+            let result;
+            if (type === 'load') {
+                result = await this.engine.load(payload.url);
+                this.handleMessage({ type: 'result', requestId, result });
+                await this.engine.loadRemainingChunks(chunk => {
+                    this.handleMessage({ type: 'chunk', requestId, result: chunk });
+                });
+                const version = await this.engine.refreshCache();
+                if (version) this.handleMessage({ type: 'update', requestId, result: { version } });
+                return;
+            } else if (type === 'ranking') {
+                result = this.engine.setRankingProfile(payload.profile);
+            } else if (type === 'synonyms') {
+                result = await this.engine.loadSynonyms(payload.url);
+            } else if (type === 'favoriteCounts') {
+                result = this.engine.setFavoriteCounts(payload.counts);
+            } else if (type === 'similar') {
+                result = this.engine.getSimilarProducts(payload.productIds, payload.limit);
+            } else if (type === 'autocomplete') {
+                result = this.engine.autocomplete(payload.query, payload.limit);
+            } else if (type === 'searchMatches') {
+                result = this.engine.getSearchMatches(payload.searchId, payload.productIndexes);
+            } else {
+                result = this.engine.query(payload.filters);
+            }
+            this.handleMessage({ type: 'result', requestId, result });
+        } catch (error) {
+            this.handleMessage({ type: 'error', requestId, error: error.message });
+        }
+    }
+
+    cancelStaleQueries() {
+        this.pendingRequests.forEach((request, requestId) => {
+            if (request.type === 'query') {
+                this.pendingRequests.delete(requestId);
+                request.resolve(null);
+            }
+        });
+    }
+
+    handleMessage(message) {
+        if (message.type === 'chunk' || message.type === 'update') {
+            const handlers = this.loadHandlers.get(message.requestId);
+            const handler = message.type === 'chunk' ? handlers?.onChunk : handlers?.onUpdate;
+            if (handler) handler(message.result);
+            return;
+        }
+
+        const request = this.pendingRequests.get(message.requestId);
+        if (!request) {
+            // A later chunk failed after the first one resolved the load
+            const handlers = this.loadHandlers.get(message.requestId);
+            if (message.type === 'error' && handlers) {
+                this.loadHandlers.delete(message.requestId);
+                if (handlers.onChunkError) {
+                    handlers.onChunkError(new Error(message.error));
+                } else {
+                    console.error('Error loading product chunk:', message.error);
+                }
+            }
+            return; // Stale response for a cancelled query
+        }
+
+        this.pendingRequests.delete(message.requestId);
+
+        if (message.type === 'error') {
+            request.reject(new Error(message.error));
+        } else {
+            request.resolve(message.result);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CatalogueEngine, CatalogueEngineClient };
+} else {
+    self.CatalogueEngine = CatalogueEngine;
+    self.CatalogueEngineClient = CatalogueEngineClient;
+}
@@ -0,0 +1,121 @@
+/**
+ * Catalogue Worker
+ * Loads the dataset and answers search/filter queries off the main thread.
+ *
+ * Messages in:  { type: 'ranking', requestId, profile }
+ *               { type: 'synonyms', requestId, url }  sent before 'load'
+ *               { type: 'load', requestId, url }
+ *               { type: 'favoriteCounts', requestId, counts }
+ *               { type: 'similar', requestId, productIds, limit }
+ *               { type: 'autocomplete', requestId, query, limit }
+ *               { type: 'query', requestId, filters }
+ * Messages out: { type: 'result', requestId, result }
+ *               { type: 'chunk', requestId, result }  after a load, once per remaining chunk
+ *               { type: 'update', requestId, result }  a newer dataset was cached for the next visit
+ *               { type: 'error', requestId, error }
+ *
+ * Only the most recent query is answered; queries that arrive while another
+ * one is being computed replace each other and never get a reply.
+ */
+
+importScripts('search-index.js', 'search-query.js', 'product-cache.js', 'catalogue-engine.js');
+
+const engine = new CatalogueEngine();
+let pendingQuery = null;
+let queryScheduled = false;
+
+self.addEventListener('message', async (event) => {
+    const message = event.data;
+
+    if (message.type === 'load') {
+        try {
+            const result = await engine.load(message.url);
+            self.postMessage({ type: 'result', requestId: message.requestId, result });
+
+            await engine.loadRemainingChunks(chunk => {
+                self.postMessage({ type: 'chunk', requestId: message.requestId, result: chunk });
+            });
+
+            const version = await engine.refreshCache();
+            if (version) {
+                self.postMessage({ type: 'update', requestId: message.requestId, result: { version } });
+            }
+        } catch (error) {
+            self.postMessage({ type: 'error', requestId: message.requestId, error: error.message });
+        }
+        return;
+    }
+
+    if (message.type === 'ranking') {
+        engine.setRankingProfile(message.profile);
+        self.postMessage({ type: 'result', requestId: message.requestId, result: null });
+        return;
+    }
+
+    if (message.type === 'synonyms') {
+        await engine.loadSynonyms(message.url);
+        self.postMessage({ type: 'result', requestId: message.requestId, result: null });
+        return;
+    }
+
+    if (message.type === 'favoriteCounts') {
+        engine.setFavoriteCounts(message.counts);
+        self.postMessage({ type: 'result', requestId: message.requestId, result: null });
+        return;
+    }
+
+    if (message.type === 'similar') {
+        try {
+            const result = engine.getSimilarProducts(message.productIds, message.limit);
+            self.postMessage({ type: 'result', requestId: message.requestId, result });
+        } catch (error) {
+            self.postMessage({ type: 'error', requestId: message.requestId, error: error.message });
+        }
+        return;
+    }
+
+    if (message.type === 'autocomplete') {
+        try {
+            const result = engine.autocomplete(message.query, message.limit);
+            self.postMessage({ type: 'result', requestId: message.requestId, result });
+        } catch (error) {
+            self.postMessage({ type: 'error', requestId: message.requestId, error: error.message });
+        }
+        return;
+    }
+
+    if (message.type === 'searchMatches') {
+        try {
+            const result = engine.getSearchMatches(message.searchId, message.productIndexes);
+            self.postMessage({ type: 'result', requestId: message.requestId, result });
+        } catch (error) {
+            self.postMessage({ type: 'error', requestId: message.requestId, error: error.message });
+        }
+        return;
+    }
+
+    if (message.type === 'query') {
+        pendingQuery = message;
+
+        // Let queued messages drain first so only the latest query runs
+        if (!queryScheduled) {
+            queryScheduled = true;
+            setTimeout(runPendingQuery, 0);
+        }
+    }
+});
+
+function runPendingQuery() {
+    const message = pendingQuery;
+    pendingQuery = null;
+    queryScheduled = false;
+
+    if (!message) return;
+
+    try {
+        const result = engine.query(message.filters);
+        self.postMessage({ type: 'result', requestId: message.requestId, result });
+    } catch (error) {
+        self.postMessage({ type: 'error', requestId: message.requestId, error: error.message });
+    }
+}
@@ -15,8 +15,32 @@ const CONFIG = {
     BATCH_SIZE: 10,
     FLUSH_INTERVAL: 5000, // 5 seconds
     HEARTBEAT_INTERVAL: 30000, // 30 seconds
+    ANALYTICS_TRANSPORT: 'supabase', // 'supabase', 'ndjson', 'memory' (kept in the page, for tests) or 'console' (memory + logging)
+    ANALYTICS_ENDPOINT: '', // NDJSON collector URL, used when ANALYTICS_TRANSPORT is 'ndjson'
+    ANALYTICS_ENDPOINT_HEADERS: {}, // Extra request headers for the NDJSON collector, e.g. an auth token
+
+    // Catalogue settings
+    INFINITE_SCROLL: true, // Load pages while scrolling; false shows the "Load More" button instead
+    SEARCH_SYNONYMS_URL: 'search-synonyms.json', // Synonym groups for search; '' turns synonyms off
+    SEARCH_RANKING: { // Relevance weights; compare changes with evaluate-search.js before shipping
+        exactTitle: 3,
+        fuzzyTitle: 2,
+        exactDescription: 1,
+        fuzzyDescription: 0.5,
+        titlePhrase: 1,
+        descriptionPhrase: 0.5,
+        coverage: 2,
+        fuzzyThreshold: 0.8
+    },
+    SEARCH_SCORE_DEBUG: false, // Show each card's relevance score breakdown; ?debug=scores does the same per visit
+
+    // Attribute filter settings
+    ATTRIBUTE_MIN_CONFIDENCE: 0.7, // Enriched attributes below this confidence don't match filters
+    ATTRIBUTE_CONFIDENCE_OVERRIDES: {}, // Per-attribute minimums, e.g. { cut: 0.8, neckline: 0.6 }
+    SHOW_ATTRIBUTE_MATCH_TOGGLE: false, // Show the strict / lenient switch for comparing precision
 
     // Privacy settings
+    CONSENT_VERSION: 1, // Bump when the consent text changes to ask every visitor again
     TRACK_USER_AGENT: true,
     TRACK_SCREEN_RESOLUTION: true,
     TRACK_CLICK_COORDINATES: true,
@@ -0,0 +1,308 @@
+/**
+ * Consent Management
+ * Keeps track of which kinds of tracking the visitor allows and asks with a
+ * banner until they choose. Categories:
+ *   necessary       always on: favorites, sign-in, caches and the consent record itself
+ *   analytics       usage events and the anonymous visitor ID they are linked to
+ *   fingerprinting  the device fingerprint, and copies of the visitor ID in cookies
+ *                   and IndexedDB that bring it back after site storage is cleared
+ * A Do Not Track or Global Privacy Control signal switches the optional
+ * categories off without asking. Every change is recorded in consent_events.
+ */
+
+class ConsentManager {
+    constructor({ version = 1, transport = null } = {}) {
+        this.version = version;         // bump CONFIG.CONSENT_VERSION to ask everyone again
+        this.transport = transport;     // analytics transport used to record changes
+        this.storageKey = 'fashion_app_consent';
+        this.optionalCategories = ['analytics', 'fingerprinting'];
+        this.listeners = [];
+        this.banner = null;
+        this.settingsModal = null;
+        this.state = this.loadState();
+    }
+
+    init() {
+        document.querySelectorAll('[data-privacy-settings]').forEach(button => {
+            button.addEventListener('click', () => this.showSettings());
+        });
+
+        if (this.getPrivacySignal()) {
+            // Store the opt-out so it is recorded once, not on every visit
+            if (!this.isDecided() || this.state.source !== 'privacy_signal') {
+                this.setConsent({ analytics: false, fingerprinting: false }, 'privacy_signal');
+            }
+            return;
+        }
+
+        if (!this.isDecided()) {
+            this.showBanner();
+        }
+    }
+
+    // 'gpc' or 'dnt' when the browser asks not to be tracked
+    getPrivacySignal() {
+        if (navigator.globalPrivacyControl === true) return 'gpc';
+
+        const dnt = navigator.doNotTrack || window.doNotTrack || navigator.msDoNotTrack;
+        if (dnt === '1' || dnt === 'yes') return 'dnt';
+
+        return null;
+    }
+
+    loadState() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            return stored ? JSON.parse(stored) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    saveState(state) {
+        this.state = state;
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(state));
+        } catch (error) {
+            console.warn('Could not store consent:', error.message);
+        }
+    }
+
+    isDecided() {
+        return !!this.state && this.state.version === this.version;
+    }
+
+    hasConsent(category) {
+        if (category === 'necessary') return true;
+        if (this.getPrivacySignal() || !this.isDecided()) return false;
+        return this.state.choices?.[category] === true;
+    }
+
+    getConsent() {
+        const consent = {
+            necessary: true,
+            decided: this.isDecided(),
+            privacySignal: this.getPrivacySignal()
+        };
+        this.optionalCategories.forEach(category => {
+            consent[category] = this.hasConsent(category);
+        });
+        return consent;
+    }
+
+    // choices: { analytics, fingerprinting }; source: 'banner', 'settings' or 'privacy_signal'
+    setConsent(choices, source = 'settings') {
+        const previous = this.getConsent();
+        const signal = this.getPrivacySignal();
+
+        const stored = {};
+        this.optionalCategories.forEach(category => {
+            stored[category] = !signal && choices[category] === true;
+        });
+
+        this.saveState({
+            version: this.version,
+            consentId: this.state?.consentId || this.generateId(),
+            choices: stored,
+            source,
+            updatedAt: new Date().toISOString()
+        });
+
+        const consent = this.getConsent();
+        this.recordChange(consent, source);
+        this.hideBanner();
+
+        this.listeners.forEach(listener => {
+            try {
+                listener(consent, previous);
+            } catch (error) {
+                console.error('Consent listener failed:', error);
+            }
+        });
+
+        return consent;
+    }
+
+    acceptAll(source = 'banner') {
+        return this.setConsent({ analytics: true, fingerprinting: true }, source);
+    }
+
+    rejectAll(source = 'banner') {
+        return this.setConsent({ analytics: false, fingerprinting: false }, source);
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    generateId() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+
+        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
+            const r = Math.random() * 16 | 0;
+            return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+        });
+    }
+
+    // Consent decisions are kept as a necessary record, whatever was chosen
+    async recordChange(consent, source) {
+        if (!this.transport) return;
+
+        const row = {
+            event_id: this.generateId(),
+            consent_id: this.state.consentId,
+            anonymous_user_id: consent.analytics && window.analytics ? window.analytics.anonymousUserId : null,
+            analytics: consent.analytics,
+            fingerprinting: consent.fingerprinting,
+            source,
+            privacy_signal: consent.privacySignal,
+            consent_version: this.version,
+            page_url: window.location.href,
+            timestamp: new Date().toISOString()
+        };
+
+        try {
+            await this.transport.insert('consent_events', [row], { onConflict: 'event_id' });
+        } catch (error) {
+            console.error('Failed to record consent change:', error);
+        }
+    }
+
+    showBanner() {
+        if (this.banner) return;
+
+        this.banner = document.createElement('div');
+        this.banner.className = 'consent-banner';
+        this.banner.setAttribute('role', 'region');
+        this.banner.setAttribute('aria-label', 'Cookie and tracking consent');
+        this.banner.innerHTML = `
+            <p class="consent-banner-text">
+                We use analytics to learn how the catalogue is used, and can recognise your device
+                to keep your visitor ID. Both are optional; favorites and sign-in work either way.
+            </p>
+            <div class="consent-banner-actions">
+                <button class="consent-btn consent-btn-secondary" data-action="settings">Customize</button>
+                <button class="consent-btn consent-btn-secondary" data-action="reject">Reject all</button>
+                <button class="consent-btn consent-btn-primary" data-action="accept">Accept all</button>
+            </div>
+        `;
+
+        this.banner.querySelector('[data-action="accept"]').addEventListener('click', () => this.acceptAll('banner'));
+        this.banner.querySelector('[data-action="reject"]').addEventListener('click', () => this.rejectAll('banner'));
+        this.banner.querySelector('[data-action="settings"]').addEventListener('click', () => this.showSettings());
+
+        document.body.appendChild(this.banner);
+        requestAnimationFrame(() => this.banner && this.banner.classList.add('show'));
+    }
+
+    hideBanner() {
+        if (!this.banner) return;
+
+        const banner = this.banner;
+        this.banner = null;
+        banner.classList.remove('show');
+        setTimeout(() => banner.remove(), 300);
+    }
+
+    showSettings() {
+        this.hideSettings();
+
+        const consent = this.getConsent();
+        const signal = consent.privacySignal;
+        const categories = [
+            {
+                key: 'necessary',
+                title: 'Necessary',
+                description: 'Favorites, sign-in, offline copies of the catalogue and this consent choice.'
+            },
+            {
+                key: 'analytics',
+                title: 'Analytics',
+                description: 'Searches, filters and product views, linked to an anonymous visitor ID.'
+            },
+            {
+                key: 'fingerprinting',
+                title: 'Device recognition',
+                description: 'A fingerprint of your browser, and copies of the visitor ID in cookies and IndexedDB.'
+            }
+        ];
+
+        this.settingsModal = document.createElement('div');
+        this.settingsModal.className = 'consent-modal-overlay';
+        this.settingsModal.innerHTML = `
+            <div class="consent-modal" role="dialog" aria-modal="true" aria-labelledby="consent-modal-title">
+                <h2 class="consent-modal-title" id="consent-modal-title">Privacy settings</h2>
+                ${signal ? `
+                    <p class="consent-signal-note">
+                        Your browser sends a ${signal === 'gpc' ? 'Global Privacy Control' : 'Do Not Track'} signal,
+                        so analytics and device recognition stay off.
+                    </p>
+                ` : ''}
+                <div class="consent-categories">
+                    ${categories.map(category => `
+                        <label class="consent-category">
+                            <input type="checkbox" name="${category.key}"
+                                   ${consent[category.key] ? 'checked' : ''}
+                                   ${category.key === 'necessary' || signal ? 'disabled' : ''}>
+                            <span class="consent-category-text">
+                                <span class="consent-category-title">${category.title}</span>
+                                <span class="consent-category-description">${category.description}</span>
+                            </span>
+                        </label>
+                    `).join('')}
+                </div>
+                <div class="consent-modal-actions">
+                    <button class="consent-btn consent-btn-secondary" data-action="cancel">Cancel</button>
+                    <button class="consent-btn consent-btn-primary" data-action="save" ${signal ? 'disabled' : ''}>Save choices</button>
+                </div>
+            </div>
+        `;
+
+        this.settingsModal.querySelector('[data-action="cancel"]').addEventListener('click', () => this.hideSettings());
+        this.settingsModal.querySelector('[data-action="save"]').addEventListener('click', () => {
+            const choices = {};
+            this.optionalCategories.forEach(category => {
+                choices[category] = this.settingsModal.querySelector(`input[name="${category}"]`).checked;
+            });
+            this.setConsent(choices, 'settings');
+            this.hideSettings();
+        });
+        this.settingsModal.addEventListener('click', (e) => {
+            if (e.target === this.settingsModal) this.hideSettings();
+        });
+
+        document.body.appendChild(this.settingsModal);
+        requestAnimationFrame(() => this.settingsModal && this.settingsModal.classList.add('show'));
+    }
+
+    hideSettings() {
+        if (!this.settingsModal) return;
+
+        const modal = this.settingsModal;
+        this.settingsModal = null;
+        modal.classList.remove('show');
+        setTimeout(() => modal.remove(), 300);
+    }
+}
+
+// Initialize global consent manager
+let consentManager = null;
+
+function initializeConsent(options = {}) {
+    if (!consentManager) {
+        consentManager = new ConsentManager(options);
+        window.consentManager = consentManager;
+        consentManager.init();
+    }
+    return consentManager;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ConsentManager, initializeConsent };
+} else {
+    window.ConsentManager = ConsentManager;
+    window.initializeConsent = initializeConsent;
+}
@@ -0,0 +1,217 @@
+// Search Ranking Evaluation
+// Runs judged queries through the catalogue engine (no browser needed) and reports
+// how well the results match, so ranking profile changes can be compared before
+// they ship:
+//
+//   node evaluate-search.js judgments.json [--products=data/products.json] [--k=10]
+//        [--profile=profile.json] [--compare=other-profile.json] [--synonyms=search-synonyms.json] [--json]
+//
+// The judgments file lists queries and the product ids that should be found,
+// optionally with a grade (higher is more relevant) and filters:
+//
+//   { "queries": [
+//       { "query": "black midi dress", "relevant": ["id-1", "id-2"] },
+//       { "query": "linen shirt", "relevant": { "id-3": 2, "id-4": 1 }, "filters": { "brands": ["ZARA"] } }
+//   ] }
+//
+// Metrics, averaged over the queries:
+//   P@k     share of the top k results that are relevant
+//   recall  share of the relevant products found anywhere in the results
+//   NDCG@k  graded ranking quality of the top k, 1 when the best products come first
+//
+// The profile is CONFIG.SEARCH_RANKING from config.js unless --profile is given;
+// --compare runs a second profile and prints the differences.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const { SearchIndex } = require('./search-index.js');
+const { SearchQueryParser } = require('./search-query.js');
+global.SearchIndex = SearchIndex;
+global.SearchQueryParser = SearchQueryParser;
+const { CatalogueEngine } = require('./catalogue-engine.js');
+
+function parseArgs(argv) {
+    const options = {
+        judgments: null,
+        products: 'data/products.json',
+        k: 10,
+        profile: null,
+        compare: null,
+        synonyms: path.join(__dirname, 'search-synonyms.json'),
+        json: false
+    };
+
+    argv.forEach(arg => {
+        const [key, value] = arg.replace(/^--/, '').split('=');
+        if (key === 'products') options.products = value;
+        else if (key === 'k') options.k = parseInt(value);
+        else if (key === 'profile') options.profile = value;
+        else if (key === 'compare') options.compare = value;
+        else if (key === 'synonyms') options.synonyms = value;
+        else if (key === 'json') options.json = true;
+        else if (!arg.startsWith('--')) options.judgments = arg;
+    });
+
+    if (!options.judgments) {
+        throw new Error('Usage: node evaluate-search.js judgments.json [--products=data/products.json] [--k=10] [--profile=profile.json] [--compare=profile.json]');
+    }
+    if (!(options.k > 0)) {
+        throw new Error('--k must be a positive number');
+    }
+
+    return options;
+}
+
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// A product array, or a manifest written by build-chunks.js
+function readProducts(file) {
+    const data = readJson(file);
+    if (Array.isArray(data)) return data;
+
+    return data.chunks.flatMap(chunk => readJson(path.join(path.dirname(file), chunk.file)));
+}
+
+// The ranking profile shipped in config.js, read without a browser
+function readConfigProfile() {
+    const source = fs.readFileSync(path.join(__dirname, 'config.js'), 'utf8');
+    const window = { location: { origin: '', hostname: '' } };
+    const config = vm.runInNewContext(`${source}\nCONFIG;`, { window, console: { log() {} } });
+    return config.SEARCH_RANKING || {};
+}
+
+// Judged relevance as product id -> grade
+function getGrades(relevant) {
+    if (Array.isArray(relevant)) {
+        return new Map(relevant.map(id => [id, 1]));
+    }
+    return new Map(Object.entries(relevant || {}));
+}
+
+function evaluateQuery(resultIds, grades, k) {
+    const top = resultIds.slice(0, k);
+    const relevantInTop = top.filter(id => grades.get(id) > 0).length;
+    const relevantFound = resultIds.filter(id => grades.get(id) > 0).length;
+    const relevantCount = Array.from(grades.values()).filter(grade => grade > 0).length;
+
+    const gain = grade => Math.pow(2, grade) - 1;
+    const dcg = top.reduce((sum, id, rank) => sum + gain(grades.get(id) || 0) / Math.log2(rank + 2), 0);
+    const ideal = Array.from(grades.values())
+        .sort((a, b) => b - a)
+        .slice(0, k)
+        .reduce((sum, grade, rank) => sum + gain(grade) / Math.log2(rank + 2), 0);
+
+    return {
+        precision: relevantInTop / k,
+        recall: relevantCount > 0 ? relevantFound / relevantCount : 0,
+        ndcg: ideal > 0 ? dcg / ideal : 0
+    };
+}
+
+function evaluate(engine, judgments, k, productIds) {
+    const queries = judgments.queries.map(judgment => {
+        const grades = getGrades(judgment.relevant);
+        const result = engine.query({ ...judgment.filters, searchQuery: judgment.query });
+        const resultIds = result.productIndexes.map(index => engine.getProductId(engine.products[index]));
+
+        const missing = Array.from(grades.keys()).filter(id => !productIds.has(id));
+        return {
+            query: judgment.query,
+            results: resultIds.length,
+            ...evaluateQuery(resultIds, grades, k),
+            missing
+        };
+    });
+
+    const mean = metric => queries.length > 0
+        ? queries.reduce((sum, query) => sum + query[metric], 0) / queries.length
+        : 0;
+
+    return {
+        queries,
+        precision: mean('precision'),
+        recall: mean('recall'),
+        ndcg: mean('ndcg')
+    };
+}
+
+// The index and the engine log as they work; keep the report (and --json output) clean
+function quietly(fn) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+        return fn();
+    } finally {
+        console.log = log;
+    }
+}
+
+function formatNumber(value) {
+    return value.toFixed(3);
+}
+
+function printReport(label, report, k) {
+    console.log(`\n${label}`);
+    console.log(`${'query'.padEnd(32)} ${`P@${k}`.padStart(7)} ${'recall'.padStart(7)} ${`NDCG@${k}`.padStart(8)} ${'results'.padStart(8)}`);
+    report.queries.forEach(query => {
+        console.log(`${query.query.slice(0, 32).padEnd(32)} ${formatNumber(query.precision).padStart(7)} ${formatNumber(query.recall).padStart(7)} ${formatNumber(query.ndcg).padStart(8)} ${String(query.results).padStart(8)}`);
+    });
+    console.log(`${'mean'.padEnd(32)} ${formatNumber(report.precision).padStart(7)} ${formatNumber(report.recall).padStart(7)} ${formatNumber(report.ndcg).padStart(8)}`);
+}
+
+function printComparison(report, other, k) {
+    const delta = (a, b) => `${b - a >= 0 ? '+' : ''}${formatNumber(b - a)}`;
+    console.log(`\nChange with --compare profile: P@${k} ${delta(report.precision, other.precision)}, ` +
+        `recall ${delta(report.recall, other.recall)}, NDCG@${k} ${delta(report.ndcg, other.ndcg)}`);
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const judgments = readJson(options.judgments);
+    const products = readProducts(options.products);
+
+    const engine = new CatalogueEngine();
+    if (options.synonyms && fs.existsSync(options.synonyms)) {
+        engine.setSynonyms(readJson(options.synonyms).synonyms);
+    }
+
+    quietly(() => engine.setProducts(products));
+    const productIds = new Set(engine.products.map(product => engine.getProductId(product)));
+
+    const profile = options.profile ? readJson(options.profile) : readConfigProfile();
+    engine.setRankingProfile(profile);
+    const report = quietly(() => evaluate(engine, judgments, options.k, productIds));
+
+    let comparison = null;
+    if (options.compare) {
+        engine.setRankingProfile(readJson(options.compare));
+        comparison = quietly(() => evaluate(engine, judgments, options.k, productIds));
+    }
+
+    const missing = new Set(report.queries.flatMap(query => query.missing));
+
+    if (options.json) {
+        console.log(JSON.stringify({ k: options.k, profile: report, compare: comparison }, null, 2));
+        return;
+    }
+
+    printReport(options.profile ? `Profile ${options.profile}` : 'Profile from config.js', report, options.k);
+    if (comparison) {
+        printReport(`Profile ${options.compare}`, comparison, options.k);
+        printComparison(report, comparison, options.k);
+    }
+    if (missing.size > 0) {
+        console.warn(`\n${missing.size} judged product ids are not in ${options.products}`);
+    }
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
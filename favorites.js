@@ -3,7 +3,21 @@ class FavoritesManager {
         this.authManager = authManager;
         this.supabase = null;
         this.userFavorites = new Set();
+        this.collections = [];                  // the signed-in user's collections, in display order
+        this.favoriteCollections = new Map();   // product id -> collection id
+        this.savedPrices = new Map();           // product id -> price_eur when it was saved
+        this.hasSavedPrices = null;             // whether user_favorites has saved_price_eur; null until checked
+        this.priceAlertsKey = 'favorites_price_alerts'; // price drops already notified
+        this.defaultCollectionName = 'Favorites';
+        this.collectionPicker = null;
+        this.favoriteProducts = [];             // products shown in the favorites modal
+        this.shareParam = 'shared';             // ?shared=<token> opens a shared list
+        this.favoritesView = { mode: 'all', collectionId: null };
         this.isInitialized = false;
+        this.pendingChangesKey = 'favorites_pending_changes'; // changes made while offline
+        this.flushPromise = null;               // the flush in progress
+        this.sharedList = null;                 // { modal, shared } shown before the catalogue was complete
+        this.guestFavoritesKey = 'favorites_guest'; // favorites saved before signing in
     }
 
     async init() {
@@ -20,17 +34,29 @@ class FavoritesManager {
             // Set up auth state listener
             this.authManager.onAuthStateChange((event, session) => {
                 if (event === 'SIGNED_IN') {
-                    this.loadUserFavorites();
+                    this.syncGuestFavorites()
+                        .then(() => this.loadUserFavorites())
+                        .then(() => this.flushPendingChanges());
                 } else if (event === 'SIGNED_OUT') {
                     this.clearUserFavorites();
+                    this.loadGuestFavorites();
                 }
             });
 
-            // Load favorites if user is already signed in
+            // Load favorites if user is already signed in, otherwise the guest's
             if (this.authManager.isAuthenticated()) {
+                await this.syncGuestFavorites();
                 await this.loadUserFavorites();
+                await this.flushPendingChanges();
+            } else {
+                this.loadGuestFavorites();
             }
 
+            // Send changes made while offline once the connection is back
+            window.addEventListener('online', () => {
+                this.syncGuestFavorites().then(() => this.flushPendingChanges());
+            });
+
             // Also listen for when products are loaded to update buttons
             this.setupProductLoadListener();
 
@@ -59,12 +85,154 @@ class FavoritesManager {
                 ALTER TABLE user_favorites ENABLE ROW LEVEL SECURITY;
 
                 -- Create policy for users to manage their own favorites
+                DROP POLICY IF EXISTS "Users can manage their own favorites" ON user_favorites;
                 CREATE POLICY "Users can manage their own favorites" ON user_favorites
                     FOR ALL USING (auth.uid() = user_id);
 
                 -- Create index for performance
                 CREATE INDEX IF NOT EXISTS idx_user_favorites_user_id ON user_favorites(user_id);
                 CREATE INDEX IF NOT EXISTS idx_user_favorites_product_id ON user_favorites(product_id);
+
+                -- Aggregate popularity for the "most favorited" sort (no user ids exposed)
+                CREATE OR REPLACE VIEW product_favorite_counts AS
+                    SELECT product_id, COUNT(*) AS favorite_count
+                    FROM user_favorites
+                    GROUP BY product_id;
+
+                GRANT SELECT ON product_favorite_counts TO anon, authenticated;
+
+                -- Collections (named wishlists); every favorite belongs to exactly one
+                CREATE TABLE IF NOT EXISTS user_collections (
+                    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+                    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+                    name TEXT NOT NULL CHECK (char_length(name) BETWEEN 1 AND 80),
+                    description TEXT,
+                    cover_image_url TEXT,
+                    position INTEGER NOT NULL DEFAULT 0,
+                    is_default BOOLEAN NOT NULL DEFAULT FALSE,
+                    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+                    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+                    UNIQUE(id, user_id)
+                );
+
+                ALTER TABLE user_collections ENABLE ROW LEVEL SECURITY;
+
+                DROP POLICY IF EXISTS "Users can manage their own collections" ON user_collections;
+                CREATE POLICY "Users can manage their own collections" ON user_collections
+                    FOR ALL USING (auth.uid() = user_id);
+
+                CREATE INDEX IF NOT EXISTS idx_user_collections_user_id ON user_collections(user_id);
+                CREATE UNIQUE INDEX IF NOT EXISTS idx_user_collections_default
+                    ON user_collections(user_id) WHERE is_default;
+
+                -- The collection must belong to the same user
+                ALTER TABLE user_favorites ADD COLUMN IF NOT EXISTS collection_id UUID;
+                DO $$
+                BEGIN
+                    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'user_favorites_collection_fkey') THEN
+                        ALTER TABLE user_favorites ADD CONSTRAINT user_favorites_collection_fkey
+                            FOREIGN KEY (collection_id, user_id) REFERENCES user_collections(id, user_id);
+                    END IF;
+                END $$;
+                CREATE INDEX IF NOT EXISTS idx_user_favorites_collection_id ON user_favorites(collection_id);
+
+                -- Favorites saved without a collection go to the default one
+                CREATE OR REPLACE FUNCTION assign_default_collection() RETURNS TRIGGER AS $$
+                BEGIN
+                    IF NEW.collection_id IS NULL THEN
+                        INSERT INTO user_collections (user_id, name, is_default)
+                        VALUES (NEW.user_id, 'Favorites', TRUE)
+                        ON CONFLICT (user_id) WHERE is_default DO NOTHING;
+
+                        SELECT id INTO NEW.collection_id
+                        FROM user_collections
+                        WHERE user_id = NEW.user_id AND is_default;
+                    END IF;
+                    RETURN NEW;
+                END;
+                $$ LANGUAGE plpgsql;
+
+                DROP TRIGGER IF EXISTS user_favorites_default_collection ON user_favorites;
+                CREATE TRIGGER user_favorites_default_collection
+                    BEFORE INSERT ON user_favorites
+                    FOR EACH ROW EXECUTE FUNCTION assign_default_collection();
+
+                -- Move existing favorites into a default collection
+                INSERT INTO user_collections (user_id, name, is_default)
+                    SELECT DISTINCT user_id, 'Favorites', TRUE FROM user_favorites
+                    ON CONFLICT (user_id) WHERE is_default DO NOTHING;
+
+                UPDATE user_favorites f SET collection_id = c.id
+                    FROM user_collections c
+                    WHERE f.collection_id IS NULL AND c.user_id = f.user_id AND c.is_default;
+
+                -- Read-only share links; a share covers all favorites (collection_id NULL) or one collection.
+                -- gen_random_bytes comes from pgcrypto, which Supabase enables by default.
+                CREATE TABLE IF NOT EXISTS favorite_shares (
+                    id BIGSERIAL PRIMARY KEY,
+                    token TEXT NOT NULL UNIQUE DEFAULT encode(gen_random_bytes(24), 'hex'),
+                    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+                    collection_id UUID,
+                    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+                    FOREIGN KEY (collection_id, user_id) REFERENCES user_collections(id, user_id) ON DELETE CASCADE
+                );
+
+                CREATE INDEX IF NOT EXISTS idx_favorite_shares_user_id ON favorite_shares(user_id);
+
+                ALTER TABLE favorite_shares ENABLE ROW LEVEL SECURITY;
+
+                DROP POLICY IF EXISTS "Users can manage their own shares" ON favorite_shares;
+                CREATE POLICY "Users can manage their own shares" ON favorite_shares
+                    FOR ALL USING (auth.uid() = user_id);
+
+                -- Visitors send the token in the x-share-token request header
+                CREATE OR REPLACE FUNCTION request_share_token() RETURNS TEXT AS $$
+                    SELECT current_setting('request.headers', true)::json->>'x-share-token';
+                $$ LANGUAGE sql STABLE;
+
+                -- Public read: only the share, favorites and collection the token covers
+                DROP POLICY IF EXISTS "Shares are readable with their token" ON favorite_shares;
+                CREATE POLICY "Shares are readable with their token" ON favorite_shares
+                    FOR SELECT USING (token = request_share_token());
+
+                DROP POLICY IF EXISTS "Shared favorites are readable with the token" ON user_favorites;
+                CREATE POLICY "Shared favorites are readable with the token" ON user_favorites
+                    FOR SELECT USING (EXISTS (
+                        SELECT 1 FROM favorite_shares s
+                        WHERE s.token = request_share_token()
+                          AND s.user_id = user_favorites.user_id
+                          AND (s.collection_id IS NULL OR s.collection_id = user_favorites.collection_id)
+                    ));
+
+                DROP POLICY IF EXISTS "Shared collections are readable with the token" ON user_collections;
+                CREATE POLICY "Shared collections are readable with the token" ON user_collections
+                    FOR SELECT USING (EXISTS (
+                        SELECT 1 FROM favorite_shares s
+                        WHERE s.token = request_share_token()
+                          AND s.user_id = user_collections.user_id
+                          AND (s.collection_id IS NULL OR s.collection_id = user_collections.id)
+                    ));
+
+                -- Price when the item was saved, compared with the current catalogue price
+                ALTER TABLE user_favorites ADD COLUMN IF NOT EXISTS saved_price_eur NUMERIC(10, 2);
+
+                -- Price of every product per dataset version, written by build-chunks.js --record-prices
+                CREATE TABLE IF NOT EXISTS product_price_history (
+                    product_id TEXT NOT NULL,
+                    dataset_version TEXT NOT NULL,
+                    price_eur NUMERIC(10, 2),
+                    recorded_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+                    PRIMARY KEY (product_id, dataset_version)
+                );
+
+                CREATE INDEX IF NOT EXISTS idx_product_price_history_product
+                    ON product_price_history(product_id, recorded_at DESC);
+
+                ALTER TABLE product_price_history ENABLE ROW LEVEL SECURITY;
+
+                DROP POLICY IF EXISTS "Price history is public" ON product_price_history;
+                CREATE POLICY "Price history is public" ON product_price_history
+                    FOR SELECT USING (true);
             `;
 
             console.log('Favorites table schema (run this in Supabase SQL editor):', tableSQL);
@@ -75,17 +243,19 @@ class FavoritesManager {
 
     async loadUserFavorites() {
         if (!this.authManager.isAuthenticated()) {
-            this.userFavorites.clear();
-            this.updateFavoriteButtons();
+            this.loadGuestFavorites();
             return;
         }
 
         try {
             const userId = this.authManager.getUserId();
 
+            await this.loadCollections();
+            await this.checkSavedPriceColumn();
+
             const { data, error } = await this.supabase
                 .from('user_favorites')
-                .select('product_id')
+                .select('*')
                 .eq('user_id', userId);
 
             if (error) {
@@ -96,35 +266,85 @@ class FavoritesManager {
             }
 
             this.userFavorites.clear();
+            this.favoriteCollections.clear();
+            this.savedPrices.clear();
             if (data && data.length > 0) {
                 data.forEach(favorite => {
                     this.userFavorites.add(favorite.product_id);
+                    if (favorite.collection_id) {
+                        this.favoriteCollections.set(favorite.product_id, favorite.collection_id);
+                    }
+                    this.setSavedPrice(favorite.product_id, favorite.saved_price_eur);
                 });
             }
 
+            // Changes not sent yet still win over the server state
+            this.getPendingChanges()
+                .filter(change => change.userId === userId)
+                .forEach(change => {
+                    this.applyChangeLocally(change.action, change.productId, change.collectionId);
+                    if (change.action === 'add') this.setSavedPrice(change.productId, change.savedPrice);
+                });
+
             this.updateFavoriteButtons();
+            this.checkPriceDrops();
         } catch (error) {
             console.error('Error loading user favorites:', error);
             this.updateFavoriteButtons();
         }
     }
 
-    async addFavorite(productId) {
+    // Databases set up before saved prices have no saved_price_eur column; favorites are
+    // then stored without a price, like they are without collections
+    async checkSavedPriceColumn() {
+        if (this.hasSavedPrices !== null) return;
+
+        const { error } = await this.supabase
+            .from('user_favorites')
+            .select('saved_price_eur')
+            .limit(1);
+
+        // Undefined column; other errors are checked again on the next load
+        if (error && error.code !== '42703') return;
+        if (error) {
+            console.warn('Saved prices not available:', error.message || error);
+        }
+        this.hasSavedPrices = !error;
+    }
+
+    // A user_favorites row, with the saved price when the column exists
+    getFavoriteRow(userId, productId, savedPrice) {
+        const favorite = { user_id: userId, product_id: productId };
+        if (this.hasSavedPrices !== false) {
+            favorite.saved_price_eur = savedPrice ?? null;
+        }
+        return favorite;
+    }
+
+    // Adds to the given collection, or the default one
+    async addFavorite(productId, collectionId = null) {
         if (!this.authManager.isAuthenticated()) {
-            throw new Error('User must be authenticated to add favorites');
+            this.addGuestFavorite(productId);
+            return;
+        }
+
+        if (!navigator.onLine) {
+            this.queueChange('add', productId, collectionId);
+            return;
         }
 
         try {
             const userId = this.authManager.getUserId();
+            const savedPrice = this.getCurrentPrice(productId);
+            const favorite = this.getFavoriteRow(userId, productId, savedPrice);
+            const targetCollectionId = collectionId || this.getDefaultCollection()?.id;
+            if (targetCollectionId) {
+                favorite.collection_id = targetCollectionId;
+            }
 
             const { error } = await this.supabase
                 .from('user_favorites')
-                .insert([
-                    {
-                        user_id: userId,
-                        product_id: productId
-                    }
-                ]);
+                .insert([favorite]);
 
             if (error) {
                 // Check if it's a duplicate entry error
@@ -133,24 +353,25 @@ class FavoritesManager {
                     this.userFavorites.add(productId);
                     return;
                 }
+                // Connection dropped during the request
+                if (!navigator.onLine) {
+                    this.queueChange('add', productId, collectionId);
+                    return;
+                }
                 throw error;
             }
 
             this.userFavorites.add(productId);
+            this.setSavedPrice(productId, savedPrice);
+            if (targetCollectionId) {
+                this.favoriteCollections.set(productId, targetCollectionId);
+            }
 
             // Update UI immediately
             this.updateFavoriteButtons();
 
             // Track analytics
-            if (window.analytics) {
-                window.analytics.trackEvent('user_action', 'add_favorite', {
-                    productId: productId,
-                    metadata: {
-                        userId: userId,
-                        totalFavorites: this.userFavorites.size
-                    }
-                });
-            }
+            this.trackFavoriteChange('add_favorite', productId);
         } catch (error) {
             console.error('Error adding favorite:', error);
             throw new Error('Failed to add favorite. Please try again.');
@@ -159,7 +380,13 @@ class FavoritesManager {
 
     async removeFavorite(productId) {
         if (!this.authManager.isAuthenticated()) {
-            throw new Error('User must be authenticated to remove favorites');
+            this.removeGuestFavorite(productId);
+            return;
+        }
+
+        if (!navigator.onLine) {
+            this.queueChange('remove', productId);
+            return;
         }
 
         try {
@@ -172,52 +399,620 @@ class FavoritesManager {
                 .eq('product_id', productId);
 
             if (error) {
+                // Connection dropped during the request
+                if (!navigator.onLine) {
+                    this.queueChange('remove', productId);
+                    return;
+                }
                 throw error;
             }
 
             this.userFavorites.delete(productId);
+            this.favoriteCollections.delete(productId);
+            this.savedPrices.delete(productId);
 
             // Update UI immediately
             this.updateFavoriteButtons();
 
             // Track analytics
-            if (window.analytics) {
-                window.analytics.trackEvent('user_action', 'remove_favorite', {
-                    productId: productId,
-                    metadata: {
-                        userId: userId,
-                        totalFavorites: this.userFavorites.size
-                    }
-                });
-            }
+            this.trackFavoriteChange('remove_favorite', productId);
         } catch (error) {
             console.error('Error removing favorite:', error);
             throw new Error('Failed to remove favorite. Please try again.');
         }
     }
 
+    // Guest favorites: [{ product_id, created_at, saved_price_eur }], the same shape as user_favorites rows
+    getGuestFavorites() {
+        try {
+            return JSON.parse(localStorage.getItem(this.guestFavoritesKey)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    saveGuestFavorites(favorites) {
+        try {
+            if (favorites.length > 0) {
+                localStorage.setItem(this.guestFavoritesKey, JSON.stringify(favorites));
+            } else {
+                localStorage.removeItem(this.guestFavoritesKey);
+            }
+        } catch (error) {
+            console.warn('Could not store guest favorites:', error.message);
+        }
+    }
+
+    loadGuestFavorites() {
+        const favorites = this.getGuestFavorites();
+        this.userFavorites = new Set(favorites.map(favorite => favorite.product_id));
+        this.savedPrices.clear();
+        favorites.forEach(favorite => this.setSavedPrice(favorite.product_id, favorite.saved_price_eur));
+        this.updateFavoriteButtons();
+        this.checkPriceDrops();
+    }
+
+    addGuestFavorite(productId) {
+        const favorites = this.getGuestFavorites();
+        if (!favorites.some(favorite => favorite.product_id === productId)) {
+            const savedPrice = this.getCurrentPrice(productId);
+            favorites.push({ product_id: productId, created_at: new Date().toISOString(), saved_price_eur: savedPrice });
+            this.saveGuestFavorites(favorites);
+            this.setSavedPrice(productId, savedPrice);
+        }
+
+        this.userFavorites.add(productId);
+        this.updateFavoriteButtons();
+        this.trackFavoriteChange('add_favorite', productId);
+    }
+
+    removeGuestFavorite(productId) {
+        this.saveGuestFavorites(this.getGuestFavorites().filter(favorite => favorite.product_id !== productId));
+
+        this.userFavorites.delete(productId);
+        this.savedPrices.delete(productId);
+        this.updateFavoriteButtons();
+        this.trackFavoriteChange('remove_favorite', productId);
+    }
+
+    // Forget the favorites saved on this device as a guest, and changes queued for them
+    clearGuestFavorites() {
+        this.saveGuestFavorites([]);
+        this.savePendingChanges(this.getPendingChanges().filter(change => change.userId));
+
+        if (!this.authManager.isAuthenticated()) {
+            this.clearUserFavorites();
+            this.updateFavoritesCountInHeader();
+        }
+    }
+
+    // Move favorites saved as a guest into the account, then forget them locally.
+    // They stay stored when the upload fails and are sent again on the next attempt.
+    async syncGuestFavorites() {
+        const guestFavorites = this.getGuestFavorites();
+        if (guestFavorites.length === 0 || !navigator.onLine || !this.authManager.isAuthenticated()) return;
+
+        try {
+            await this.importFavorites({ favorites: guestFavorites });
+            this.saveGuestFavorites([]);
+            console.log(`Synced ${guestFavorites.length} guest favorites to the account`);
+        } catch (error) {
+            console.error('Error syncing guest favorites:', error);
+        }
+    }
+
+    // Collections: named wishlists of the signed-in user. Every favorite belongs to one
+    // collection; favorites saved without one go to the default collection. Guests and
+    // databases without the user_collections table get a single flat list.
+    async loadCollections() {
+        if (!this.authManager.isAuthenticated()) {
+            this.collections = [];
+            return;
+        }
+
+        const { data, error } = await this.supabase
+            .from('user_collections')
+            .select('*')
+            .eq('user_id', this.authManager.getUserId())
+            .order('position', { ascending: true })
+            .order('created_at', { ascending: true });
+
+        if (error) {
+            console.warn('Collections not available:', error.message || error);
+            this.collections = [];
+            return;
+        }
+
+        this.collections = data || [];
+        if (!this.getDefaultCollection()) {
+            await this.createDefaultCollection();
+        }
+    }
+
+    async createDefaultCollection() {
+        const userId = this.authManager.getUserId();
+
+        const { data, error } = await this.supabase
+            .from('user_collections')
+            .insert([{ user_id: userId, name: this.defaultCollectionName, is_default: true, position: 0 }])
+            .select()
+            .single();
+
+        if (error) {
+            // Created meanwhile (another tab, or the database trigger)
+            if (error.code === '23505') {
+                const { data: existing } = await this.supabase
+                    .from('user_collections')
+                    .select('*')
+                    .eq('user_id', userId)
+                    .eq('is_default', true)
+                    .maybeSingle();
+                if (existing) this.collections.unshift(existing);
+                return existing || null;
+            }
+            console.error('Error creating default collection:', error);
+            return null;
+        }
+
+        this.collections.unshift(data);
+        return data;
+    }
+
+    getCollections() {
+        return this.collections;
+    }
+
+    getCollection(collectionId) {
+        return this.collections.find(collection => collection.id === collectionId) || null;
+    }
+
+    getDefaultCollection() {
+        return this.collections.find(collection => collection.is_default) || null;
+    }
+
+    // Favorites saved before collections existed, or while offline, count as default
+    getCollectionIdOf(productId) {
+        return this.favoriteCollections.get(productId) || this.getDefaultCollection()?.id || null;
+    }
+
+    getCollectionProductIds(collectionId) {
+        return Array.from(this.userFavorites).filter(productId => this.getCollectionIdOf(productId) === collectionId);
+    }
+
+    async createCollection({ name, description = '' }) {
+        const trimmedName = (name || '').trim();
+        if (!trimmedName) {
+            throw new Error('Collection name is required');
+        }
+
+        const position = this.collections.reduce((max, collection) => Math.max(max, collection.position), -1) + 1;
+        const { data, error } = await this.supabase
+            .from('user_collections')
+            .insert([{
+                user_id: this.authManager.getUserId(),
+                name: trimmedName,
+                description: description.trim() || null,
+                position
+            }])
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Error creating collection:', error);
+            throw new Error('Failed to create collection. Please try again.');
+        }
+
+        this.collections.push(data);
+        this.trackCollectionChange('create_collection', data.id);
+        return data;
+    }
+
+    // changes: { name, description, cover_image_url }
+    async updateCollection(collectionId, changes) {
+        const update = {};
+        ['name', 'description', 'cover_image_url'].forEach(key => {
+            if (changes[key] !== undefined) update[key] = changes[key];
+        });
+        if (update.name !== undefined && !update.name.trim()) {
+            throw new Error('Collection name is required');
+        }
+        update.updated_at = new Date().toISOString();
+
+        const { error } = await this.supabase
+            .from('user_collections')
+            .update(update)
+            .eq('id', collectionId)
+            .eq('user_id', this.authManager.getUserId());
+
+        if (error) {
+            console.error('Error updating collection:', error);
+            throw new Error('Failed to update collection. Please try again.');
+        }
+
+        Object.assign(this.getCollection(collectionId) || {}, update);
+    }
+
+    // The collection's favorites move to the default collection rather than being removed
+    async deleteCollection(collectionId) {
+        const collection = this.getCollection(collectionId);
+        const defaultCollection = this.getDefaultCollection();
+        if (!collection) return;
+        if (collection.is_default || !defaultCollection) {
+            throw new Error('The default collection cannot be deleted');
+        }
+
+        const userId = this.authManager.getUserId();
+        const { error: moveError } = await this.supabase
+            .from('user_favorites')
+            .update({ collection_id: defaultCollection.id })
+            .eq('user_id', userId)
+            .eq('collection_id', collectionId);
+
+        if (moveError) {
+            console.error('Error moving favorites out of collection:', moveError);
+            throw new Error('Failed to delete collection. Please try again.');
+        }
+        this.getCollectionProductIds(collectionId).forEach(productId => {
+            this.favoriteCollections.set(productId, defaultCollection.id);
+        });
+
+        const { error } = await this.supabase
+            .from('user_collections')
+            .delete()
+            .eq('id', collectionId)
+            .eq('user_id', userId);
+
+        if (error) {
+            console.error('Error deleting collection:', error);
+            throw new Error('Failed to delete collection. Please try again.');
+        }
+
+        this.collections = this.collections.filter(existing => existing.id !== collectionId);
+        this.trackCollectionChange('delete_collection', collectionId);
+    }
+
+    // Move a collection earlier (-1) or later (+1) in the list
+    async moveCollection(collectionId, offset) {
+        const from = this.collections.findIndex(collection => collection.id === collectionId);
+        const to = from + offset;
+        if (from < 0 || to < 0 || to >= this.collections.length) return;
+
+        const reordered = [...this.collections];
+        [reordered[from], reordered[to]] = [reordered[to], reordered[from]];
+
+        const userId = this.authManager.getUserId();
+        for (const [position, collection] of reordered.entries()) {
+            if (collection.position === position) continue;
+
+            const { error } = await this.supabase
+                .from('user_collections')
+                .update({ position })
+                .eq('id', collection.id)
+                .eq('user_id', userId);
+
+            if (error) {
+                console.error('Error reordering collections:', error);
+                throw new Error('Failed to reorder collections. Please try again.');
+            }
+            collection.position = position;
+        }
+
+        this.collections = reordered;
+    }
+
+    async moveFavorite(productId, collectionId) {
+        if (!this.isFavorite(productId) || this.getCollectionIdOf(productId) === collectionId) return;
+
+        // Saved offline and not sent yet: there is no row to update, so the move goes with the add
+        if (this.queueMove(productId, collectionId)) {
+            this.favoriteCollections.set(productId, collectionId);
+            this.trackCollectionChange('move_favorite', collectionId, productId);
+            return;
+        }
+
+        const { error } = await this.supabase
+            .from('user_favorites')
+            .update({ collection_id: collectionId })
+            .eq('user_id', this.authManager.getUserId())
+            .eq('product_id', productId);
+
+        if (error) {
+            console.error('Error moving favorite:', error);
+            throw new Error('Failed to move favorite. Please try again.');
+        }
+
+        this.favoriteCollections.set(productId, collectionId);
+        this.trackCollectionChange('move_favorite', collectionId, productId);
+    }
+
+    trackCollectionChange(action, collectionId, productId = null) {
+        if (window.analytics) {
+            window.analytics.trackEvent('user_action', action, {
+                productId: productId,
+                metadata: {
+                    collectionId: collectionId,
+                    totalCollections: this.collections.length
+                }
+            });
+        }
+    }
+
+    getPendingChanges() {
+        try {
+            return JSON.parse(localStorage.getItem(this.pendingChangesKey)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    savePendingChanges(changes) {
+        try {
+            if (changes.length > 0) {
+                localStorage.setItem(this.pendingChangesKey, JSON.stringify(changes));
+            } else {
+                localStorage.removeItem(this.pendingChangesKey);
+            }
+        } catch (error) {
+            console.warn('Could not store pending favorite changes:', error.message);
+        }
+    }
+
+    // Puts the collection on a queued add of the product; false when there is none
+    queueMove(productId, collectionId) {
+        const userId = this.authManager.getUserId();
+        const changes = this.getPendingChanges();
+        const pendingAdd = changes.find(change =>
+            change.userId === userId && change.productId === productId && change.action === 'add');
+        if (!pendingAdd) return false;
+
+        pendingAdd.collectionId = collectionId;
+        this.savePendingChanges(changes);
+        return true;
+    }
+
+    applyChangeLocally(action, productId, collectionId = null) {
+        if (action === 'add') {
+            this.userFavorites.add(productId);
+            if (collectionId) this.favoriteCollections.set(productId, collectionId);
+        } else {
+            this.userFavorites.delete(productId);
+            this.favoriteCollections.delete(productId);
+        }
+    }
+
+    // Offline: update the UI now and send the change when the connection is back.
+    // Only the latest change per product is kept; an add may name its collection.
+    queueChange(action, productId, collectionId = null) {
+        const userId = this.authManager.getUserId();
+        const changes = this.getPendingChanges()
+            .filter(change => change.userId !== userId || change.productId !== productId);
+
+        changes.push({
+            action,
+            productId,
+            userId,
+            savedPrice: action === 'add' ? this.getCurrentPrice(productId) : null,
+            collectionId: action === 'add' ? collectionId : null,
+            queuedAt: new Date().toISOString()
+        });
+        this.savePendingChanges(changes);
+
+        this.applyChangeLocally(action, productId, collectionId);
+        this.updateFavoriteButtons();
+        console.log(`Offline: queued ${action} favorite for ${productId}`);
+    }
+
+    // Prices: the catalogue price is recorded when an item is saved, so favorites can show
+    // how it changed since. Rows saved before prices were recorded have no saved price.
+    getCatalogueProduct(productId) {
+        const products = window.fashionCatalogue ? window.fashionCatalogue.allProducts || [] : [];
+        return products.find(product => (product.id || product.original_data.item_page_url) === productId) || null;
+    }
+
+    getProductPrice(product) {
+        const price = parseFloat(product?.original_data?.price_eur);
+        return Number.isFinite(price) ? price : null;
+    }
+
+    getCurrentPrice(productId) {
+        return this.getProductPrice(this.getCatalogueProduct(productId));
+    }
+
+    setSavedPrice(productId, price) {
+        const savedPrice = parseFloat(price);
+        if (Number.isFinite(savedPrice)) {
+            this.savedPrices.set(productId, savedPrice);
+        } else {
+            this.savedPrices.delete(productId);
+        }
+    }
+
+    // { savedPrice, currentPrice, difference, percent } or null when unknown or unchanged
+    getPriceChange(productId, currentPrice) {
+        const savedPrice = this.savedPrices.get(productId);
+        if (savedPrice === undefined || currentPrice === null || savedPrice <= 0) return null;
+
+        const difference = Math.round((currentPrice - savedPrice) * 100) / 100;
+        if (difference === 0) return null;
+
+        return {
+            savedPrice,
+            currentPrice,
+            difference,
+            percent: Math.round((difference / savedPrice) * 100)
+        };
+    }
+
+    getPriceAlerts() {
+        try {
+            return JSON.parse(localStorage.getItem(this.priceAlertsKey)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    savePriceAlerts(alerts) {
+        try {
+            localStorage.setItem(this.priceAlertsKey, JSON.stringify(alerts));
+        } catch (error) {
+            console.warn('Could not store price alerts:', error.message);
+        }
+    }
+
+    // Tell the user once about each price drop on their favorites. Waits for the whole
+    // catalogue so products from later chunks are not taken for missing ones.
+    checkPriceDrops() {
+        const catalogue = window.fashionCatalogue;
+        if (!catalogue || !catalogue.catalogueComplete || this.userFavorites.size === 0) return;
+
+        const products = new Map();
+        catalogue.allProducts.forEach(product => {
+            products.set(product.id || product.original_data.item_page_url, product);
+        });
+
+        const alerts = this.getPriceAlerts();
+        const remaining = {};
+        const drops = [];
+        this.userFavorites.forEach(productId => {
+            const product = products.get(productId);
+            const change = this.getPriceChange(productId, this.getProductPrice(product));
+            if (!change || change.difference >= 0) return;
+
+            remaining[productId] = change.currentPrice;
+            if (alerts[productId] !== change.currentPrice) {
+                drops.push({ product, change });
+            }
+        });
+        // Only keep drops still current, so a later drop to the same price is reported again
+        this.savePriceAlerts(remaining);
+
+        if (drops.length === 0) return;
+
+        const [first] = drops;
+        const message = drops.length === 1
+            ? `Price dropped: ${first.product.original_data.title || 'an item in your favorites'} is now €${first.change.currentPrice} (was €${first.change.savedPrice})`
+            : `Prices dropped on ${drops.length} of your favorites`;
+
+        if (window.authUI) {
+            window.authUI.showNotification(message, 'success');
+        }
+
+        if (window.analytics) {
+            window.analytics.trackEvent('view', 'price_drop_alert', {
+                metadata: {
+                    products: drops.map(drop => drop.product.id || drop.product.original_data.item_page_url),
+                    totalDrops: drops.length
+                }
+            });
+        }
+    }
+
+    trackFavoriteChange(action, productId) {
+        if (window.analytics) {
+            window.analytics.trackEvent('user_action', action, {
+                productId: productId,
+                metadata: {
+                    userId: this.authManager.getUserId(),
+                    guest: !this.authManager.isAuthenticated(),
+                    totalFavorites: this.userFavorites.size
+                }
+            });
+        }
+    }
+
+    // One flush at a time: 'online', sign-in and startup can all ask for one
+    flushPendingChanges() {
+        if (!this.flushPromise) {
+            this.flushPromise = this.sendPendingChanges()
+                .finally(() => { this.flushPromise = null; });
+        }
+        return this.flushPromise;
+    }
+
+    async sendPendingChanges() {
+        if (!navigator.onLine || !this.authManager.isAuthenticated()) return;
+
+        const userId = this.authManager.getUserId();
+        const mine = this.getPendingChanges().filter(change => change.userId === userId);
+        if (mine.length === 0) return;
+
+        await this.checkSavedPriceColumn();
+        const sent = [];
+        for (const change of mine) {
+            const query = this.supabase.from('user_favorites');
+            const row = this.getFavoriteRow(userId, change.productId, change.savedPrice);
+            if (change.collectionId) row.collection_id = change.collectionId;
+
+            // An add moved to a collection overwrites the row, in case an earlier send created it
+            const { error } = change.action === 'add'
+                ? await query.upsert([row], {
+                    onConflict: 'user_id,product_id',
+                    ignoreDuplicates: !change.collectionId
+                })
+                : await query.delete().eq('user_id', userId).eq('product_id', change.productId);
+
+            if (error) {
+                console.error('Error sending queued favorite change:', error);
+            } else {
+                sent.push(change);
+            }
+        }
+
+        // Re-read: changes queued while these were sent must survive. Failed ones stay for the next attempt.
+        const isSent = change => sent.some(item => item.userId === change.userId &&
+            item.productId === change.productId && item.queuedAt === change.queuedAt &&
+            item.collectionId === change.collectionId);
+        this.savePendingChanges(this.getPendingChanges().filter(change => !isSent(change)));
+        console.log(`Sent ${sent.length} queued favorite changes`);
+
+        await this.loadUserFavorites();
+    }
+
     async getFavorites() {
         if (!this.authManager.isAuthenticated()) {
+            return this.getGuestFavorites()
+                .sort((a, b) => b.created_at.localeCompare(a.created_at));
+        }
+
+        try {
+            const userId = this.authManager.getUserId();
+
+            const { data, error } = await this.supabase
+                .from('user_favorites')
+                .select('*')
+                .eq('user_id', userId)
+                .order('created_at', { ascending: false });
+
+            if (error) {
+                throw error;
+            }
+
+            return data || [];
+        } catch (error) {
+            console.error('Error getting favorites:', error);
             return [];
         }
+    }
 
+    // Favorite counts across all users, keyed by product id (null if unavailable)
+    async getProductFavoriteCounts() {
         try {
-            const userId = this.authManager.getUserId();
-
             const { data, error } = await this.supabase
-                .from('user_favorites')
-                .select('*')
-                .eq('user_id', userId)
-                .order('created_at', { ascending: false });
+                .from('product_favorite_counts')
+                .select('product_id, favorite_count');
 
             if (error) {
                 throw error;
             }
 
-            return data || [];
+            const counts = {};
+            (data || []).forEach(row => {
+                counts[row.product_id] = Number(row.favorite_count) || 0;
+            });
+            return counts;
         } catch (error) {
-            console.error('Error getting favorites:', error);
-            return [];
+            console.warn('Favorite counts not available:', error.message || error);
+            return null;
         }
     }
 
@@ -231,6 +1026,10 @@ class FavoritesManager {
 
     clearUserFavorites() {
         this.userFavorites.clear();
+        this.favoriteCollections.clear();
+        this.savedPrices.clear();
+        this.collections = [];
+        this.hideCollectionPicker();
         this.updateFavoriteButtons();
         console.log('Cleared user favorites');
     }
@@ -284,11 +1083,12 @@ class FavoritesManager {
         if (this.authManager.isAuthenticated()) {
             await this.loadUserFavorites();
         } else {
-            this.updateFavoriteButtons();
+            this.loadGuestFavorites();
         }
     }
 
-    createFavoritesModal() {
+    // readOnly: a list shared by someone else (no guest note, tabs or sharing)
+    createFavoritesModal({ readOnly = false } = {}) {
         // Remove existing modal if any
         const existingModal = document.querySelector('.favorites-modal-overlay');
         if (existingModal) {
@@ -308,6 +1108,24 @@ class FavoritesManager {
                     </button>
                 </div>
                 <div class="favorites-modal-body">
+                    ${readOnly || this.authManager.isAuthenticated() ? '' : `
+                        <p class="favorites-guest-note">
+                            Your favorites are saved on this device. Sign in to keep them in your account.
+                        </p>
+                    `}
+                    <div class="favorites-tabs" id="favorites-tabs" style="display: none;">
+                        <button class="favorites-tab" data-view="all">All favorites</button>
+                        <button class="favorites-tab" data-view="collections">Collections</button>
+                    </div>
+                    <div class="favorites-share" id="favorites-share" style="display: none;">
+                        <!-- Share link of the list on display -->
+                    </div>
+                    <div class="collection-header" id="collection-header" style="display: none;">
+                        <!-- Collection name, description and actions -->
+                    </div>
+                    <div class="collections-grid" id="collections-grid" style="display: none;">
+                        <!-- Collections will be populated here -->
+                    </div>
                     <div class="favorites-grid" id="favorites-grid">
                         <!-- Favorites will be populated here -->
                     </div>
@@ -319,6 +1137,9 @@ class FavoritesManager {
                         <h3>No favorites yet</h3>
                         <p>Start adding items to your favorites by clicking the heart icon on products you love!</p>
                     </div>
+                    <div class="similar-items favorites-similar" id="favorites-similar" style="display: none;">
+                        <!-- Recommendations will be populated here -->
+                    </div>
                 </div>
             </div>
         `;
@@ -351,31 +1172,650 @@ class FavoritesManager {
     async showFavoritesPage() {
         const modal = this.createFavoritesModal();
         const favoritesGrid = modal.querySelector('#favorites-grid');
-        const emptyState = modal.querySelector('#favorites-empty');
 
         try {
             // Show modal
             modal.classList.add('show');
             document.body.style.overflow = 'hidden';
 
+            // Collections are only there for signed-in users
+            this.favoritesView = { mode: 'all', collectionId: null };
+            if (this.collections.length > 0) {
+                const tabs = modal.querySelector('#favorites-tabs');
+                tabs.style.display = 'flex';
+                tabs.querySelectorAll('.favorites-tab').forEach(tab => {
+                    tab.addEventListener('click', () => {
+                        this.favoritesView = { mode: tab.dataset.view, collectionId: null };
+                        this.renderFavoritesView(modal);
+                    });
+                });
+            }
+
             // Load favorite products
-            const favoriteProducts = await this.getFavoriteProducts();
+            this.favoriteProducts = await this.getFavoriteProducts();
+            this.renderFavoritesView(modal);
+        } catch (error) {
+            console.error('Error showing favorites page:', error);
+            favoritesGrid.innerHTML = '<p>Error loading favorites. Please try again.</p>';
+        }
+    }
+
+    // Renders this.favoritesView: all favorites, the list of collections, or one collection
+    renderFavoritesView(modal) {
+        const { mode, collectionId } = this.favoritesView;
+        const favoritesGrid = modal.querySelector('#favorites-grid');
+        const emptyState = modal.querySelector('#favorites-empty');
+        const collectionsGrid = modal.querySelector('#collections-grid');
+        const collectionHeader = modal.querySelector('#collection-header');
+        const similarItems = modal.querySelector('#favorites-similar');
+
+        modal.querySelectorAll('.favorites-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.view === (mode === 'collection' ? 'collections' : mode));
+        });
+        collectionsGrid.style.display = mode === 'collections' ? 'grid' : 'none';
+        collectionHeader.style.display = mode === 'collection' ? 'block' : 'none';
+        if (mode !== 'all') {
+            similarItems.style.display = 'none';
+        }
+        this.renderSharePanel(modal.querySelector('#favorites-share'), mode === 'collection' ? collectionId : null,
+            mode !== 'collections' && this.collections.length > 0);
+
+        if (mode === 'collections') {
+            favoritesGrid.style.display = 'none';
+            emptyState.style.display = 'none';
+            this.renderCollections(modal, collectionsGrid);
+            return;
+        }
+
+        const collection = mode === 'collection' ? this.getCollection(collectionId) : null;
+        const products = collection
+            ? this.favoriteProducts.filter(product =>
+                this.getCollectionIdOf(product.id || product.original_data.item_page_url) === collection.id)
+            : this.favoriteProducts;
+
+        if (collection) {
+            this.renderCollectionHeader(modal, collectionHeader, collection, products);
+        }
+
+        emptyState.querySelector('h3').textContent = collection ? 'This collection is empty' : 'No favorites yet';
+        emptyState.querySelector('p').textContent = collection
+            ? 'Move favorites here with the heart button or the collection menu on each item.'
+            : 'Start adding items to your favorites by clicking the heart icon on products you love!';
+
+        if (products.length === 0) {
+            favoritesGrid.style.display = 'none';
+            emptyState.style.display = 'block';
+        } else {
+            emptyState.style.display = 'none';
+            favoritesGrid.style.display = 'grid';
+            this.renderFavoriteProducts(favoritesGrid, products);
+            if (!collection) {
+                this.renderFavoritesRecommendations(modal, products);
+            }
+        }
+    }
+
+    // Image shown on a collection tile: the chosen cover, else its first item's image
+    getCollectionCover(collection) {
+        if (collection.cover_image_url) return collection.cover_image_url;
+
+        const product = (this.favoriteProducts || []).find(item =>
+            this.getCollectionIdOf(item.id || item.original_data.item_page_url) === collection.id);
+        const images = product ? (product.original_data.images_url || []).filter(img => img && img.trim() !== '') : [];
+        return images[0] || null;
+    }
+
+    renderCollections(modal, container) {
+        container.innerHTML = '';
+
+        this.collections.forEach(collection => {
+            const count = this.getCollectionProductIds(collection.id).length;
+            const tile = document.createElement('button');
+            tile.className = 'collection-tile';
+            tile.innerHTML = `
+                <div class="collection-tile-cover"></div>
+                <div class="collection-tile-name"></div>
+                <div class="collection-tile-count">${count} ${count === 1 ? 'item' : 'items'}</div>
+            `;
+            tile.querySelector('.collection-tile-name').textContent = collection.name;
+
+            const coverUrl = this.getCollectionCover(collection);
+            if (coverUrl) {
+                const img = document.createElement('img');
+                img.src = coverUrl;
+                img.alt = '';
+                img.loading = 'lazy';
+                tile.querySelector('.collection-tile-cover').appendChild(img);
+            }
+
+            tile.addEventListener('click', () => {
+                this.favoritesView = { mode: 'collection', collectionId: collection.id };
+                this.renderFavoritesView(modal);
+            });
+            container.appendChild(tile);
+        });
+
+        const newTile = document.createElement('button');
+        newTile.className = 'collection-tile collection-tile-new';
+        newTile.innerHTML = `
+            <div class="collection-tile-cover">+</div>
+            <div class="collection-tile-name">New collection</div>
+        `;
+        newTile.addEventListener('click', () => {
+            const formContainer = document.createElement('div');
+            formContainer.className = 'collection-tile collection-tile-form';
+            newTile.replaceWith(formContainer);
+            this.renderCollectionForm(formContainer, null, () => this.renderFavoritesView(modal));
+        });
+        container.appendChild(newTile);
+    }
+
+    renderCollectionHeader(modal, container, collection, products) {
+        const index = this.collections.indexOf(collection);
+        container.innerHTML = `
+            <button class="collection-back-btn">&larr; All collections</button>
+            <div class="collection-header-main">
+                <div class="collection-header-text">
+                    <h3 class="collection-title"></h3>
+                    <p class="collection-description"></p>
+                    <span class="collection-count">${products.length} ${products.length === 1 ? 'item' : 'items'}</span>
+                </div>
+                <div class="collection-actions">
+                    <button class="collection-action-btn" data-action="earlier" title="Move earlier"
+                            aria-label="Move collection earlier" ${index <= 0 ? 'disabled' : ''}>&uarr;</button>
+                    <button class="collection-action-btn" data-action="later" title="Move later"
+                            aria-label="Move collection later" ${index >= this.collections.length - 1 ? 'disabled' : ''}>&darr;</button>
+                    <button class="collection-action-btn" data-action="edit">Edit</button>
+                    ${collection.is_default ? '' : '<button class="collection-action-btn collection-delete-btn" data-action="delete">Delete</button>'}
+                </div>
+            </div>
+        `;
+        container.querySelector('.collection-title').textContent = collection.name;
+        container.querySelector('.collection-description').textContent = collection.description || '';
+
+        const run = async (action) => {
+            try {
+                await action();
+            } catch (error) {
+                alert(error.message);
+            }
+            this.renderFavoritesView(modal);
+        };
+
+        container.querySelector('.collection-back-btn').addEventListener('click', () => {
+            this.favoritesView = { mode: 'collections', collectionId: null };
+            this.renderFavoritesView(modal);
+        });
+        container.querySelector('[data-action="earlier"]').addEventListener('click', () => {
+            run(() => this.moveCollection(collection.id, -1));
+        });
+        container.querySelector('[data-action="later"]').addEventListener('click', () => {
+            run(() => this.moveCollection(collection.id, 1));
+        });
+        container.querySelector('[data-action="edit"]').addEventListener('click', () => {
+            this.renderCollectionForm(container.querySelector('.collection-header-main'), collection,
+                () => this.renderFavoritesView(modal));
+        });
+
+        const deleteBtn = container.querySelector('[data-action="delete"]');
+        if (deleteBtn) {
+            deleteBtn.addEventListener('click', () => {
+                const defaultName = this.getDefaultCollection()?.name || this.defaultCollectionName;
+                if (!confirm(`Delete "${collection.name}"? Its items will move to "${defaultName}".`)) return;
+
+                run(async () => {
+                    await this.deleteCollection(collection.id);
+                    this.favoritesView = { mode: 'collections', collectionId: null };
+                });
+            });
+        }
+    }
+
+    // Create (collection = null) or edit form; onDone runs after saving or cancelling
+    renderCollectionForm(container, collection, onDone) {
+        container.innerHTML = `
+            <form class="collection-form">
+                <input class="collection-form-name" name="name" maxlength="80" required
+                       placeholder="Name, e.g. Wedding guest" aria-label="Collection name">
+                <textarea class="collection-form-description" name="description" rows="2"
+                          placeholder="Description (optional)" aria-label="Collection description"></textarea>
+                <div class="collection-form-actions">
+                    <button type="button" class="collection-action-btn" data-action="cancel">Cancel</button>
+                    <button type="submit" class="collection-action-btn collection-save-btn">${collection ? 'Save' : 'Create'}</button>
+                </div>
+            </form>
+        `;
+
+        const form = container.querySelector('form');
+        form.elements.name.value = collection ? collection.name : '';
+        form.elements.description.value = collection ? collection.description || '' : '';
+        form.elements.name.focus();
+
+        form.querySelector('[data-action="cancel"]').addEventListener('click', onDone);
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const values = {
+                name: form.elements.name.value.trim(),
+                description: form.elements.description.value.trim()
+            };
+
+            try {
+                if (collection) {
+                    await this.updateCollection(collection.id, { ...values, description: values.description || null });
+                } else {
+                    await this.createCollection(values);
+                }
+                onDone();
+            } catch (error) {
+                alert(error.message);
+            }
+        });
+    }
+
+    // "Move to" menu, plus "Use as cover" inside a collection
+    addCollectionControls(card, productId) {
+        const modal = document.querySelector('.favorites-modal-overlay');
+        const { mode, collectionId } = this.favoritesView;
+        const controls = document.createElement('div');
+        controls.className = 'favorite-collection-controls';
+
+        if (this.collections.length > 1) {
+            const select = document.createElement('select');
+            select.className = 'favorite-collection-select';
+            select.setAttribute('aria-label', 'Move to collection');
+            this.collections.forEach(collection => {
+                const option = document.createElement('option');
+                option.value = collection.id;
+                option.textContent = collection.name;
+                option.selected = collection.id === this.getCollectionIdOf(productId);
+                select.appendChild(option);
+            });
+
+            select.addEventListener('change', async () => {
+                try {
+                    await this.moveFavorite(productId, select.value);
+                    if (modal) this.renderFavoritesView(modal);
+                } catch (error) {
+                    alert(error.message);
+                    select.value = this.getCollectionIdOf(productId);
+                }
+            });
+            controls.appendChild(select);
+        }
+
+        const image = card.querySelector('.favorite-product-image img');
+        if (mode === 'collection' && image) {
+            const coverBtn = document.createElement('button');
+            coverBtn.className = 'collection-action-btn';
+            coverBtn.textContent = 'Use as cover';
+            coverBtn.addEventListener('click', async () => {
+                try {
+                    await this.updateCollection(collectionId, { cover_image_url: image.getAttribute('src') });
+                    coverBtn.textContent = 'Cover';
+                    coverBtn.disabled = true;
+                } catch (error) {
+                    alert(error.message);
+                }
+            });
+            controls.appendChild(coverBtn);
+        }
+
+        if (controls.children.length > 0) {
+            card.querySelector('.favorite-product-info').appendChild(controls);
+        }
+    }
+
+    // Share links: a read-only view of all favorites (collectionId = null) or of one collection,
+    // opened with ?shared=<token>. The token is generated by the database and is the only way
+    // in; revoking the link deletes the share row. See favorite_shares in AUTHENTICATION_SETUP.md.
+    async getShare(collectionId = null) {
+        let query = this.supabase
+            .from('favorite_shares')
+            .select('token, collection_id, created_at')
+            .eq('user_id', this.authManager.getUserId());
+        query = collectionId ? query.eq('collection_id', collectionId) : query.is('collection_id', null);
+
+        const { data, error } = await query.maybeSingle();
+        if (error) {
+            console.error('Error loading share link:', error);
+            throw new Error('Sharing is not available right now.');
+        }
+        return data;
+    }
+
+    getShareUrl(token) {
+        return `${window.location.origin}${window.location.pathname}?${this.shareParam}=${encodeURIComponent(token)}`;
+    }
+
+    // Returns the existing link of the list, or creates one
+    async createShareLink(collectionId = null) {
+        const existing = await this.getShare(collectionId);
+        if (existing) return this.getShareUrl(existing.token);
+
+        const { data, error } = await this.supabase
+            .from('favorite_shares')
+            .insert([{ user_id: this.authManager.getUserId(), collection_id: collectionId }])
+            .select('token')
+            .single();
+
+        if (error) {
+            console.error('Error creating share link:', error);
+            throw new Error('Failed to create share link. Please try again.');
+        }
+
+        this.trackCollectionChange('share_favorites', collectionId);
+        return this.getShareUrl(data.token);
+    }
+
+    async revokeShareLink(collectionId = null) {
+        let query = this.supabase
+            .from('favorite_shares')
+            .delete()
+            .eq('user_id', this.authManager.getUserId());
+        query = collectionId ? query.eq('collection_id', collectionId) : query.is('collection_id', null);
+
+        const { error } = await query;
+        if (error) {
+            console.error('Error revoking share link:', error);
+            throw new Error('Failed to revoke share link. Please try again.');
+        }
+
+        this.trackCollectionChange('revoke_share', collectionId);
+    }
+
+    renderSharePanel(container, collectionId, visible) {
+        container.style.display = visible ? 'flex' : 'none';
+        if (!visible) return;
+
+        container.innerHTML = `
+            <button class="collection-action-btn" data-action="share">
+                ${collectionId ? 'Share this collection' : 'Share all favorites'}
+            </button>
+        `;
+
+        container.querySelector('[data-action="share"]').addEventListener('click', async () => {
+            try {
+                this.renderShareLink(container, collectionId, await this.createShareLink(collectionId));
+            } catch (error) {
+                alert(error.message);
+            }
+        });
+    }
+
+    renderShareLink(container, collectionId, url) {
+        container.innerHTML = `
+            <input class="favorites-share-url" type="text" readonly aria-label="Share link">
+            <button class="collection-action-btn" data-action="copy">Copy</button>
+            <button class="collection-action-btn collection-delete-btn" data-action="revoke">Revoke link</button>
+        `;
+
+        const input = container.querySelector('.favorites-share-url');
+        input.value = url;
+        input.addEventListener('focus', () => input.select());
+
+        const copyBtn = container.querySelector('[data-action="copy"]');
+        copyBtn.addEventListener('click', async () => {
+            try {
+                await navigator.clipboard.writeText(url);
+                copyBtn.textContent = 'Copied';
+            } catch (error) {
+                input.select();
+            }
+        });
+
+        container.querySelector('[data-action="revoke"]').addEventListener('click', async () => {
+            if (!confirm('Revoke this link? People who have it will no longer see the list.')) return;
+
+            try {
+                await this.revokeShareLink(collectionId);
+                this.renderSharePanel(container, collectionId, true);
+            } catch (error) {
+                alert(error.message);
+            }
+        });
+    }
+
+    // Anonymous client that sends the share token; RLS only shows rows covered by it
+    getShareClient(token) {
+        return window.supabase.createClient(this.authManager.supabaseUrl, this.authManager.supabaseKey, {
+            global: { headers: { 'x-share-token': token } },
+            auth: { persistSession: false, autoRefreshToken: false, detectSessionInUrl: false }
+        });
+    }
+
+    // { collection, favorites } of a share link, or null when it does not exist (any more)
+    async loadSharedFavorites(token) {
+        const client = this.getShareClient(token);
+
+        const { data: share, error } = await client
+            .from('favorite_shares')
+            .select('collection_id')
+            .eq('token', token)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!share) return null;
+
+        let collection = null;
+        if (share.collection_id) {
+            const { data, error: collectionError } = await client
+                .from('user_collections')
+                .select('name, description')
+                .eq('id', share.collection_id)
+                .maybeSingle();
+            if (collectionError) throw collectionError;
+            collection = data;
+        }
+
+        let favoritesQuery = client
+            .from('user_favorites')
+            .select('product_id, created_at')
+            .order('created_at', { ascending: false });
+        if (share.collection_id) {
+            favoritesQuery = favoritesQuery.eq('collection_id', share.collection_id);
+        }
+
+        const { data: favorites, error: favoritesError } = await favoritesQuery;
+        if (favoritesError) throw favoritesError;
+
+        return { collection, favorites: favorites || [] };
+    }
+
+    // Open a shared list when the page was opened with ?shared=<token>
+    handleShareRoute() {
+        const token = new URLSearchParams(window.location.search).get(this.shareParam);
+        if (token) {
+            this.showSharedFavorites(token);
+        }
+    }
+
+    async showSharedFavorites(token) {
+        const modal = this.createFavoritesModal({ readOnly: true });
+        const favoritesGrid = modal.querySelector('#favorites-grid');
+
+        modal.classList.add('show');
+        document.body.style.overflow = 'hidden';
+        modal.querySelector('.favorites-modal-title').textContent = 'Shared favorites';
+
+        try {
+            const shared = await this.loadSharedFavorites(token);
+
+            if (shared && shared.collection) {
+                const header = modal.querySelector('#collection-header');
+                header.innerHTML = `
+                    <h3 class="collection-title"></h3>
+                    <p class="collection-description"></p>
+                `;
+                header.querySelector('.collection-title').textContent = shared.collection.name;
+                header.querySelector('.collection-description').textContent = shared.collection.description || '';
+                header.style.display = 'block';
+            }
+
+            const products = this.renderSharedFavorites(modal, shared);
+            // Items in chunks that are still loading are added by refreshSharedFavorites()
+            this.sharedList = window.fashionCatalogue?.catalogueComplete ? null : { modal, shared };
+
+            if (window.analytics) {
+                window.analytics.trackEvent('view', 'shared_favorites', {
+                    metadata: {
+                        found: !!shared,
+                        collection: !!(shared && shared.collection),
+                        totalFavorites: products.length
+                    }
+                });
+            }
+        } catch (error) {
+            console.error('Error loading shared favorites:', error);
+            favoritesGrid.innerHTML = '<p>Error loading shared favorites. Please try again.</p>';
+        }
+    }
+
+    // Renders the shared items found in the catalogue so far; returns them
+    renderSharedFavorites(modal, shared) {
+        const favoritesGrid = modal.querySelector('#favorites-grid');
+        const emptyState = modal.querySelector('#favorites-empty');
+        const catalogue = window.fashionCatalogue;
+
+        const productIds = new Set((shared ? shared.favorites : []).map(favorite => favorite.product_id));
+        const products = (catalogue?.allProducts || []).filter(product =>
+            productIds.has(product.id || product.original_data.item_page_url));
+
+        if (products.length === 0) {
+            const loading = shared && productIds.size > 0 && !catalogue?.catalogueComplete;
+            emptyState.querySelector('h3').textContent = shared ? (loading ? 'Loading…' : 'Nothing here yet') : 'Link not available';
+            emptyState.querySelector('p').textContent = shared
+                ? (loading ? 'The catalogue is still loading.' : 'This list is empty, or its items are no longer in the catalogue.')
+                : 'This link has been revoked or does not exist.';
+            favoritesGrid.style.display = 'none';
+            emptyState.style.display = 'block';
+        } else {
+            emptyState.style.display = 'none';
+            favoritesGrid.style.display = 'grid';
+            this.renderFavoriteProducts(favoritesGrid, products, { readOnly: true });
+        }
+
+        return products;
+    }
+
+    // The whole catalogue is loaded: show shared items that were in later chunks
+    refreshSharedFavorites() {
+        if (!this.sharedList) return;
+
+        const { modal, shared } = this.sharedList;
+        this.sharedList = null;
+        if (modal.isConnected && modal.classList.contains('show')) {
+            this.renderSharedFavorites(modal, shared);
+        }
+    }
+
+    // Drop ?shared= so closing the list (or reloading) returns to the catalogue
+    clearShareRoute() {
+        const params = new URLSearchParams(window.location.search);
+        if (!params.has(this.shareParam)) return;
+
+        params.delete(this.shareParam);
+        const query = params.toString();
+        window.history.replaceState(window.history.state, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+    }
+
+    // Popover under a heart button to move the item to another collection or remove it
+    showCollectionPicker(anchor, productId) {
+        this.hideCollectionPicker();
+
+        const picker = document.createElement('div');
+        picker.className = 'collection-picker';
+        picker.setAttribute('role', 'menu');
+        picker.innerHTML = `
+            <div class="collection-picker-title">Saved to collection</div>
+            <div class="collection-picker-options"></div>
+            <button class="collection-picker-action" data-action="new" role="menuitem">+ New collection</button>
+            <button class="collection-picker-action collection-picker-remove" data-action="remove" role="menuitem">Remove from favorites</button>
+        `;
+
+        const currentId = this.getCollectionIdOf(productId);
+        const options = picker.querySelector('.collection-picker-options');
+        this.collections.forEach(collection => {
+            const option = document.createElement('button');
+            option.className = 'collection-picker-option';
+            option.setAttribute('role', 'menuitemradio');
+            option.setAttribute('aria-checked', String(collection.id === currentId));
+            option.classList.toggle('selected', collection.id === currentId);
+            option.textContent = collection.name;
+            option.addEventListener('click', () => this.pickCollection(productId, () => collection.id));
+            options.appendChild(option);
+        });
 
-            if (favoriteProducts.length === 0) {
-                favoritesGrid.style.display = 'none';
-                emptyState.style.display = 'block';
+        picker.querySelector('[data-action="new"]').addEventListener('click', () => {
+            const name = prompt('Name of the new collection');
+            if (!name || !name.trim()) return;
+            this.pickCollection(productId, async () => (await this.createCollection({ name })).id);
+        });
+        picker.querySelector('[data-action="remove"]').addEventListener('click', () => {
+            this.pickCollection(productId, null);
+        });
+
+        const rect = anchor.getBoundingClientRect();
+        picker.style.top = `${rect.bottom + 6}px`;
+        picker.style.left = `${Math.max(8, Math.min(rect.left, window.innerWidth - 228))}px`;
+        document.body.appendChild(picker);
+
+        const handlePointerDown = (e) => {
+            if (!picker.contains(e.target) && !anchor.contains(e.target)) this.hideCollectionPicker();
+        };
+        const handleKeydown = (e) => {
+            if (e.key === 'Escape') this.hideCollectionPicker();
+        };
+        const handleScroll = () => this.hideCollectionPicker();
+        document.addEventListener('pointerdown', handlePointerDown);
+        document.addEventListener('keydown', handleKeydown);
+        window.addEventListener('scroll', handleScroll, { capture: true, passive: true });
+
+        this.collectionPicker = {
+            element: picker,
+            cleanup: () => {
+                document.removeEventListener('pointerdown', handlePointerDown);
+                document.removeEventListener('keydown', handleKeydown);
+                window.removeEventListener('scroll', handleScroll, { capture: true });
+            }
+        };
+    }
+
+    // getCollectionId resolves to the target collection; null removes the favorite
+    async pickCollection(productId, getCollectionId) {
+        this.hideCollectionPicker();
+
+        try {
+            if (getCollectionId) {
+                await this.moveFavorite(productId, await getCollectionId());
             } else {
-                emptyState.style.display = 'none';
-                favoritesGrid.style.display = 'grid';
-                this.renderFavoriteProducts(favoritesGrid, favoriteProducts);
+                await this.removeFavorite(productId);
             }
         } catch (error) {
-            console.error('Error showing favorites page:', error);
-            favoritesGrid.innerHTML = '<p>Error loading favorites. Please try again.</p>';
+            console.error('Error updating collection:', error);
+            alert(error.message);
         }
     }
 
+    hideCollectionPicker() {
+        if (!this.collectionPicker) return;
+
+        this.collectionPicker.cleanup();
+        this.collectionPicker.element.remove();
+        this.collectionPicker = null;
+    }
+
+    renderFavoritesRecommendations(modal, favoriteProducts) {
+        if (!window.fashionCatalogue) return;
+
+        const productIds = favoriteProducts.map(product => product.id || product.original_data.item_page_url);
+        window.fashionCatalogue.renderSimilarItems(modal.querySelector('#favorites-similar'), productIds, {
+            placement: 'favorites',
+            onSelect: () => this.hideFavoritesPage()
+        });
+    }
+
     hideFavoritesPage() {
+        this.clearShareRoute();
         const modal = document.querySelector('.favorites-modal-overlay');
         if (modal) {
             modal.classList.remove('show');
@@ -386,16 +1826,20 @@ class FavoritesManager {
         }
     }
 
-    renderFavoriteProducts(container, products) {
+    renderFavoriteProducts(container, products, { readOnly = false } = {}) {
         container.innerHTML = '';
 
         products.forEach(product => {
-            const card = this.createFavoriteProductCard(product);
+            const card = this.createFavoriteProductCard(product, { readOnly });
+            if (!readOnly && this.collections.length > 0) {
+                this.addCollectionControls(card, product.id || product.original_data.item_page_url);
+            }
             container.appendChild(card);
         });
     }
 
-    createFavoriteProductCard(product) {
+    // readOnly cards (shared lists) have no remove button
+    createFavoriteProductCard(product, { readOnly = false } = {}) {
         const card = document.createElement('div');
         card.className = 'favorite-product-card';
 
@@ -410,16 +1854,26 @@ class FavoritesManager {
                          onerror="this.src='data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMzAwIiBoZWlnaHQ9IjQwMCIgdmlld0JveD0iMCAwIDMwMCA0MDAiIGZpbGw9Im5vbmUiIHhtbG5zPSJodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2ZyI+CjxyZWN0IHdpZHRoPSIzMDAiIGhlaWdodD0iNDAwIiBmaWxsPSIjRjhGOUZBIi8+CjxwYXRoIGQ9Ik0xNTAgMjAwQzE2MS4wNDYgMjAwIDE3MCAyMDguOTU0IDE3MCAyMjBDMTcwIDIzMS4wNDYgMTYxLjA0NiAyNDAgMTUwIDI0MEMxMzguOTU0IDI0MCAxMzAgMjMxLjA0NiAxMzAgMjIwQzEzMCAyMDguOTU0IDEzOC45NTQgMjAwIDE1MCAyMDBaIiBmaWxsPSIjREREREREIi8+Cjx0ZXh0IHg9IjE1MCIgeT0iMjgwIiB0ZXh0LWFuY2hvcj0ibWlkZGxlIiBmaWxsPSIjOTk5OTk5IiBmb250LXNpemU9IjE0cHgiPk5vIEltYWdlPC90ZXh0Pgo8L3N2Zz4K'">` :
                     `<div class="no-image">No Image</div>`
                 }
-                <button class="remove-favorite-btn" data-product-id="${productId}" title="Remove from favorites">
-                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-                        <path d="M18 6L6 18M6 6l12 12" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
-                    </svg>
-                </button>
+                ${readOnly ? '' : `
+                    <button class="remove-favorite-btn" data-product-id="${productId}" title="Remove from favorites">
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                            <path d="M18 6L6 18M6 6l12 12" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
+                        </svg>
+                    </button>
+                `}
             </div>
             <div class="favorite-product-info">
                 <div class="favorite-product-brand">${product.original_data.brand || ''}</div>
                 <div class="favorite-product-title">${product.original_data.title || 'Untitled'}</div>
-                <div class="favorite-product-price">${product.original_data.price_eur ? `€${product.original_data.price_eur}` : 'Price not available'}</div>
+                <div class="favorite-product-price">
+                    ${product.original_data.price_eur ? `€${product.original_data.price_eur}` : 'Price not available'}
+                    ${product.priceChange ? `
+                        <span class="favorite-price-badge ${product.priceChange.difference < 0 ? 'price-down' : 'price-up'}"
+                              title="€${product.priceChange.savedPrice} when saved">
+                            ${product.priceChange.difference < 0 ? '&darr;' : '&uarr;'} ${Math.abs(product.priceChange.percent) || '<1'}%
+                        </span>
+                    ` : ''}
+                </div>
                 <button class="view-product-btn" data-url="${product.original_data.item_page_url}">
                     View Product
                 </button>
@@ -428,25 +1882,29 @@ class FavoritesManager {
 
         // Add event listeners
         const removeBtn = card.querySelector('.remove-favorite-btn');
-        removeBtn.addEventListener('click', async (e) => {
-            e.stopPropagation();
-            try {
-                await this.removeFavorite(productId);
-                card.remove();
-
-                // Check if no favorites left
-                const remainingCards = document.querySelectorAll('.favorite-product-card');
-                if (remainingCards.length === 0) {
-                    const favoritesGrid = document.querySelector('#favorites-grid');
-                    const emptyState = document.querySelector('#favorites-empty');
-                    favoritesGrid.style.display = 'none';
-                    emptyState.style.display = 'block';
+        if (removeBtn) {
+            removeBtn.addEventListener('click', async (e) => {
+                e.stopPropagation();
+                try {
+                    await this.removeFavorite(productId);
+                    this.favoriteProducts = (this.favoriteProducts || []).filter(item =>
+                        (item.id || item.original_data.item_page_url) !== productId);
+                    card.remove();
+
+                    // Check if no favorites left
+                    const remainingCards = document.querySelectorAll('.favorite-product-card');
+                    if (remainingCards.length === 0) {
+                        const favoritesGrid = document.querySelector('#favorites-grid');
+                        const emptyState = document.querySelector('#favorites-empty');
+                        favoritesGrid.style.display = 'none';
+                        emptyState.style.display = 'block';
+                    }
+                } catch (error) {
+                    console.error('Error removing favorite:', error);
+                    alert('Error removing favorite. Please try again.');
                 }
-            } catch (error) {
-                console.error('Error removing favorite:', error);
-                alert('Error removing favorite. Please try again.');
-            }
-        });
+            });
+        }
 
         const viewBtn = card.querySelector('.view-product-btn');
         viewBtn.addEventListener('click', () => {
@@ -458,10 +1916,6 @@ class FavoritesManager {
 
     // Get favorite products with full details
     async getFavoriteProducts() {
-        if (!this.authManager.isAuthenticated()) {
-            return [];
-        }
-
         try {
             const favorites = await this.getFavorites();
             const favoriteProductIds = favorites.map(fav => fav.product_id);
@@ -473,7 +1927,11 @@ class FavoritesManager {
                     return favoriteProductIds.includes(productId);
                 });
 
-                return favoriteProducts;
+                // Compare with the price the item was saved at
+                return favoriteProducts.map(product => ({
+                    ...product,
+                    priceChange: this.getPriceChange(product.id || product.original_data.item_page_url, this.getProductPrice(product))
+                }));
             }
 
             return [];
@@ -483,6 +1941,52 @@ class FavoritesManager {
         }
     }
 
+    // Remove every favorite of the signed-in user (data erasure); false on failure
+    async deleteAllFavorites() {
+        if (!this.authManager.isAuthenticated()) return true;
+
+        try {
+            const userId = this.authManager.getUserId();
+
+            const { error } = await this.supabase
+                .from('user_favorites')
+                .delete()
+                .eq('user_id', userId);
+
+            if (error) {
+                throw error;
+            }
+
+            if (this.collections.length > 0) {
+                const { error: sharesError } = await this.supabase
+                    .from('favorite_shares')
+                    .delete()
+                    .eq('user_id', userId);
+
+                if (sharesError) {
+                    throw sharesError;
+                }
+
+                const { error: collectionsError } = await this.supabase
+                    .from('user_collections')
+                    .delete()
+                    .eq('user_id', userId);
+
+                if (collectionsError) {
+                    throw collectionsError;
+                }
+            }
+
+            this.savePendingChanges(this.getPendingChanges().filter(change => change.userId !== userId));
+            this.clearUserFavorites();
+            this.updateFavoritesCountInHeader();
+            return true;
+        } catch (error) {
+            console.error('Error deleting favorites:', error);
+            return false;
+        }
+    }
+
     // Export favorites (useful for data portability)
     async exportFavorites() {
         try {
@@ -498,10 +2002,19 @@ class FavoritesManager {
                     title: product.original_data.title,
                     brand: product.original_data.brand,
                     price: product.original_data.price_eur,
+                    saved_price_eur: this.savedPrices.get(product.id || product.original_data.item_page_url) ?? null,
                     url: product.original_data.item_page_url,
                     added_at: favorites.find(f =>
                         f.product_id === (product.id || product.original_data.item_page_url)
-                    )?.created_at
+                    )?.created_at,
+                    collection: this.getCollection(
+                        this.getCollectionIdOf(product.id || product.original_data.item_page_url)
+                    )?.name || null
+                })),
+                collections: this.collections.map(collection => ({
+                    name: collection.name,
+                    description: collection.description,
+                    is_default: collection.is_default
                 }))
             };
 
@@ -520,10 +2033,9 @@ class FavoritesManager {
 
         try {
             const userId = this.authManager.getUserId();
-            const favoritesToImport = exportData.favorites.map(fav => ({
-                user_id: userId,
-                product_id: fav.product_id
-            }));
+            await this.checkSavedPriceColumn();
+            const favoritesToImport = exportData.favorites.map(fav =>
+                this.getFavoriteRow(userId, fav.product_id, fav.saved_price_eur ?? fav.price));
 
             const { error } = await this.supabase
                 .from('user_favorites')
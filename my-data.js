@@ -0,0 +1,254 @@
+/**
+ * My Data
+ * Lets visitors download everything stored about them as JSON and erase it.
+ * Analytics rows are read and deleted by the export_my_data and erase_my_data
+ * database functions (supabase_schema_with_users.sql), which decide from the
+ * session (auth.uid()) which rows the given visitor ID may reach; favorites
+ * go by the signed-in user's ID. Consent records are kept as proof of the
+ * choices made, but unlinked from the visitor ID on erasure.
+ */
+
+class PersonalDataManager {
+    constructor(supabaseUrl, supabaseKey) {
+        this.rest = new SupabaseTransport(supabaseUrl, supabaseKey);
+        this.panel = null;
+    }
+
+    init() {
+        document.querySelectorAll('[data-my-data]').forEach(button => {
+            button.addEventListener('click', () => this.showPanel());
+        });
+    }
+
+    async getAnonymousUserId() {
+        if (window.analytics && window.analytics.anonymousUserId) {
+            return window.analytics.anonymousUserId;
+        }
+        if (!window.AnonymousUserIdentifier) return null;
+
+        // Read the stored ID without creating one
+        return new AnonymousUserIdentifier().getStoredUserId();
+    }
+
+    getAuthUserId() {
+        return window.authManager && window.authManager.isAuthenticated()
+            ? window.authManager.getUserId()
+            : null;
+    }
+
+    // Signed in, the call carries the user's session so the function sees auth.uid();
+    // otherwise it goes out with the anon key
+    async callRpc(name, params) {
+        const supabase = this.getAuthUserId() ? window.authManager.getSupabaseClient() : null;
+        if (!supabase) {
+            return this.rest.request(`rpc/${name}`, 'POST', params);
+        }
+
+        const { data, error } = await supabase.rpc(name, params);
+        if (error) throw error;
+        return data;
+    }
+
+    getLocalData() {
+        const identifier = window.AnonymousUserIdentifier ? new AnonymousUserIdentifier() : null;
+        return {
+            consent: window.consentManager ? window.consentManager.state : null,
+            visitor: identifier ? identifier.getUserData() : null,
+            guest_favorites: window.favoritesManager ? window.favoritesManager.getGuestFavorites() : [],
+            recent_searches: window.fashionCatalogue?.searchAutocomplete?.getRecentSearches() || []
+        };
+    }
+
+    // Everything stored about the visitor, grouped by table
+    async collectData() {
+        const anonymousUserId = await this.getAnonymousUserId();
+        const authUserId = this.getAuthUserId();
+        const consentId = window.consentManager?.state?.consentId || null;
+
+        const data = {
+            exported_at: new Date().toISOString(),
+            anonymous_user_id: anonymousUserId,
+            auth_user_id: authUserId,
+            tables: {},
+            local: this.getLocalData()
+        };
+        const unavailable = [];
+
+        if (anonymousUserId || authUserId || consentId) {
+            try {
+                data.tables = await this.callRpc('export_my_data', {
+                    p_anonymous_user_id: anonymousUserId,
+                    p_consent_id: consentId
+                }) || {};
+            } catch (error) {
+                console.error('Exporting analytics data failed:', error);
+                unavailable.push('analytics');
+            }
+        }
+
+        if (authUserId && window.favoritesManager) {
+            data.tables.user_favorites = await window.favoritesManager.getFavorites();
+            data.tables.user_collections = window.favoritesManager.getCollections();
+        }
+
+        if (unavailable.length > 0) {
+            data.unavailable_tables = unavailable;
+        }
+        return data;
+    }
+
+    async downloadData() {
+        const data = await this.collectData();
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `brandnest-my-data-${data.exported_at.slice(0, 10)}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+        return data;
+    }
+
+    // Delete the visitor's rows, then the local identifiers. Identifiers are kept
+    // when a delete failed, so the visitor can try again.
+    async deleteData() {
+        const anonymousUserId = await this.getAnonymousUserId();
+        const authUserId = this.getAuthUserId();
+        const failed = [];
+
+        // Stop tracking first so no new rows appear while deleting
+        if (window.analytics) {
+            window.analytics.stop();
+            window.analytics = null;
+        }
+
+        if (anonymousUserId || authUserId) {
+            try {
+                await this.callRpc('erase_my_data', { p_anonymous_user_id: anonymousUserId });
+            } catch (error) {
+                console.error('Erasing analytics data failed:', error);
+                failed.push('analytics');
+            }
+        }
+
+        if (authUserId && window.favoritesManager) {
+            if (!await window.favoritesManager.deleteAllFavorites()) {
+                failed.push('user_favorites');
+            }
+        }
+
+        if (failed.length === 0) {
+            if (typeof clearStoredAnalyticsEvents === 'function') clearStoredAnalyticsEvents();
+            if (window.clearUserIdentification) await window.clearUserIdentification();
+            window.fashionCatalogue?.searchAutocomplete?.clearRecentSearches();
+            window.favoritesManager?.clearGuestFavorites();
+        }
+
+        return { failed };
+    }
+
+    async showPanel() {
+        this.hidePanel();
+
+        const anonymousUserId = await this.getAnonymousUserId();
+        const email = window.authManager && window.authManager.isAuthenticated()
+            ? window.authManager.getUserEmail()
+            : null;
+
+        this.panel = document.createElement('div');
+        this.panel.className = 'consent-modal-overlay my-data-overlay';
+        this.panel.innerHTML = `
+            <div class="consent-modal my-data-modal" role="dialog" aria-modal="true" aria-labelledby="my-data-title">
+                <h2 class="consent-modal-title" id="my-data-title">My data</h2>
+                <p class="my-data-text">
+                    Download or delete what BrandNest stores about you: visits, searches, filters and
+                    product views${email ? ', and the favorites of your account' : ''}.
+                </p>
+                <dl class="my-data-ids">
+                    <dt>Visitor ID</dt>
+                    <dd>${anonymousUserId || 'None stored on this device'}</dd>
+                    ${email ? `<dt>Account</dt><dd>${email}</dd>` : ''}
+                </dl>
+                <p class="my-data-status" aria-live="polite"></p>
+                <div class="consent-modal-actions">
+                    <button class="consent-btn consent-btn-secondary" data-action="close">Close</button>
+                    <button class="consent-btn consent-btn-secondary" data-action="download">Download my data</button>
+                    <button class="consent-btn consent-btn-danger" data-action="delete">Delete my data</button>
+                </div>
+            </div>
+        `;
+
+        const status = this.panel.querySelector('.my-data-status');
+        const buttons = this.panel.querySelectorAll('.consent-modal-actions button');
+        const run = async (message, action) => {
+            buttons.forEach(button => { button.disabled = true; });
+            status.textContent = message;
+            try {
+                status.textContent = await action();
+            } catch (error) {
+                console.error('My data request failed:', error);
+                status.textContent = 'Something went wrong. Please try again.';
+            }
+            buttons.forEach(button => { button.disabled = false; });
+        };
+
+        this.panel.querySelector('[data-action="close"]').addEventListener('click', () => this.hidePanel());
+        this.panel.querySelector('[data-action="download"]').addEventListener('click', () => {
+            run('Collecting your data…', async () => {
+                await this.downloadData();
+                return 'Your data has been downloaded.';
+            });
+        });
+        this.panel.querySelector('[data-action="delete"]').addEventListener('click', () => {
+            if (!confirm('Delete all data BrandNest stores about you? This cannot be undone.')) return;
+
+            run('Deleting your data…', async () => {
+                const { failed } = await this.deleteData();
+                if (failed.length > 0) {
+                    return `Some data could not be deleted (${failed.join(', ')}). Please try again.`;
+                }
+                this.panel.querySelector('.my-data-ids dd').textContent = 'None stored on this device';
+                return 'Your data has been deleted. Tracking stays off for the rest of this visit.';
+            });
+        });
+        this.panel.addEventListener('click', (e) => {
+            if (e.target === this.panel) this.hidePanel();
+        });
+
+        document.body.appendChild(this.panel);
+        requestAnimationFrame(() => this.panel && this.panel.classList.add('show'));
+    }
+
+    hidePanel() {
+        if (!this.panel) return;
+
+        const panel = this.panel;
+        this.panel = null;
+        panel.classList.remove('show');
+        setTimeout(() => panel.remove(), 300);
+    }
+}
+
+// Initialize global personal data manager
+let personalDataManager = null;
+
+function initializePersonalData(supabaseUrl, supabaseKey) {
+    if (!personalDataManager) {
+        personalDataManager = new PersonalDataManager(supabaseUrl, supabaseKey);
+        window.personalDataManager = personalDataManager;
+        personalDataManager.init();
+    }
+    return personalDataManager;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PersonalDataManager, initializePersonalData };
+} else {
+    window.PersonalDataManager = PersonalDataManager;
+    window.initializePersonalData = initializePersonalData;
+}
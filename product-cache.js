@@ -0,0 +1,131 @@
+/**
+ * Product Cache
+ * Keeps the chunked product dataset (or a flat products.json, as one chunk) in IndexedDB,
+ * keyed by manifest version, so repeat visits (and offline ones) start without downloading it again.
+ * A manifest is only stored once all of its chunks are, so a cached manifest
+ * always describes a complete dataset. Every method resolves (null/false)
+ * instead of throwing when IndexedDB is unavailable.
+ */
+
+class ProductCache {
+    constructor() {
+        this.dbName = 'FashionCatalogueCache';
+        this.dbVersion = 1;
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve) => {
+                if (typeof indexedDB === 'undefined') {
+                    resolve(null);
+                    return;
+                }
+
+                try {
+                    const request = indexedDB.open(this.dbName, this.dbVersion);
+
+                    request.onerror = () => resolve(null);
+
+                    request.onupgradeneeded = (event) => {
+                        const db = event.target.result;
+                        if (!db.objectStoreNames.contains('manifests')) {
+                            db.createObjectStore('manifests', { keyPath: 'url' });
+                        }
+                        if (!db.objectStoreNames.contains('chunks')) {
+                            const chunks = db.createObjectStore('chunks', { keyPath: 'key' });
+                            chunks.createIndex('version', 'version');
+                        }
+                    };
+
+                    request.onsuccess = (event) => resolve(event.target.result);
+                } catch (error) {
+                    console.warn('IndexedDB not available:', error.message);
+                    resolve(null);
+                }
+            });
+        }
+        return this.dbPromise;
+    }
+
+    // Runs one request against a store; resolves with its result (true when it has none), or null on failure
+    async run(storeName, mode, operation) {
+        const db = await this.open();
+        if (!db) return null;
+
+        return new Promise((resolve) => {
+            try {
+                const transaction = db.transaction([storeName], mode);
+                const request = operation(transaction.objectStore(storeName));
+                transaction.oncomplete = () => resolve(request.result ?? true);
+                transaction.onerror = () => resolve(null);
+                transaction.onabort = () => resolve(null);
+            } catch (error) {
+                console.warn('Product cache request failed:', error.message);
+                resolve(null);
+            }
+        });
+    }
+
+    getChunkKey(version, file) {
+        return `${version}/${file}`;
+    }
+
+    async getManifest(manifestUrl) {
+        const entry = await this.run('manifests', 'readonly', store => store.get(manifestUrl));
+        return entry?.manifest || null;
+    }
+
+    async saveManifest(manifestUrl, manifest) {
+        return await this.run('manifests', 'readwrite', store => store.put({
+            url: manifestUrl,
+            manifest,
+            cachedAt: new Date().toISOString()
+        })) !== null;
+    }
+
+    async getChunk(version, file) {
+        const entry = await this.run('chunks', 'readonly', store => store.get(this.getChunkKey(version, file)));
+        return entry?.products || null;
+    }
+
+    async saveChunk(version, file, products) {
+        return await this.run('chunks', 'readwrite', store => store.put({
+            key: this.getChunkKey(version, file),
+            version,
+            file,
+            products
+        })) !== null;
+    }
+
+    // True when every chunk of the manifest is stored (the browser may evict entries)
+    async hasAllChunks(manifest) {
+        const keys = await this.run('chunks', 'readonly', store => store.index('version').getAllKeys(manifest.version));
+        if (!keys) return false;
+
+        const stored = new Set(keys);
+        return manifest.chunks.every(chunk => stored.has(this.getChunkKey(manifest.version, chunk.file)));
+    }
+
+    // Drop chunks of every other version
+    async deleteOtherVersions(version) {
+        const keys = await this.run('chunks', 'readonly', store => store.getAllKeys());
+        const stale = (keys || []).filter(key => !key.startsWith(`${version}/`));
+        if (stale.length === 0) return true;
+
+        return await this.run('chunks', 'readwrite', store => {
+            let request = null;
+            stale.forEach(key => {
+                request = store.delete(key);
+            });
+            return request;
+        }) !== null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProductCache;
+} else {
+    self.ProductCache = ProductCache; // Also loaded by catalogue-worker.js
+}
@@ -0,0 +1,340 @@
+/**
+ * Product Detail View
+ * Full-screen overlay for a single product, routed as #/product/:id so it can
+ * be linked to and closed with the browser's back button.
+ */
+
+class ProductDetailView {
+    constructor(catalogue) {
+        this.catalogue = catalogue;
+        this.routePrefix = '#/product/';
+        this.product = null;
+        this.currentImage = 0;
+        this.openedInApp = false; // true when the route was pushed by a card click
+        this.source = null;
+
+        this.handleKeydown = this.handleKeydown.bind(this);
+        window.addEventListener('hashchange', () => this.handleRoute());
+    }
+
+    getRoute(product) {
+        return `${this.routePrefix}${encodeURIComponent(this.getProductId(product))}`;
+    }
+
+    getProductId(product) {
+        return product.id || product.original_data.item_page_url;
+    }
+
+    findProduct(productId) {
+        return this.catalogue.allProducts.find(product => this.getProductId(product) === productId) || null;
+    }
+
+    // Open the product, adding a history entry so "back" closes the overlay. Moving
+    // between products inside an open overlay (the similar-items rail) replaces that
+    // entry instead, so a single "back" still closes it
+    open(product, source = {}) {
+        this.source = source;
+
+        const route = this.getRoute(product);
+        if (this.product) {
+            window.history.replaceState(window.history.state, '', `${window.location.pathname}${window.location.search}${route}`);
+            this.show(product);
+            return;
+        }
+
+        this.openedInApp = true;
+        if (window.location.hash === route) {
+            this.show(product);
+        } else {
+            window.location.hash = route;
+        }
+    }
+
+    close() {
+        if (this.openedInApp) {
+            this.openedInApp = false;
+            window.history.back();
+            return;
+        }
+
+        // Landed directly on a product link: drop the route without leaving the site
+        window.history.replaceState(window.history.state, '', `${window.location.pathname}${window.location.search}`);
+        this.hide();
+    }
+
+    // Sync the overlay with the current hash
+    handleRoute() {
+        const hash = window.location.hash;
+        if (!hash.startsWith(this.routePrefix)) {
+            this.openedInApp = false;
+            this.hide();
+            return;
+        }
+
+        let productId;
+        try {
+            productId = decodeURIComponent(hash.slice(this.routePrefix.length));
+        } catch (error) {
+            productId = null;
+        }
+
+        const product = productId ? this.findProduct(productId) : null;
+        if (!product) {
+            console.warn('Product not found for route:', hash);
+            this.hide();
+            return;
+        }
+
+        this.show(product);
+    }
+
+    show(product) {
+        if (this.product === product) return;
+
+        this.product = product;
+        this.currentImage = 0;
+        this.render(product);
+
+        // Track detail view
+        if (window.analytics) {
+            window.analytics.trackProductInteraction(product, 'detail_view', {
+                positionInList: this.source?.positionInList ?? null,
+                metadata: {
+                    source: this.openedInApp ? 'product_card' : 'direct_link',
+                    imageCount: this.getImages(product).length,
+                    searchQuery: this.catalogue.filters.searchQuery || null
+                }
+            });
+        }
+        this.source = null;
+    }
+
+    hide() {
+        if (!this.product) return;
+        this.product = null;
+
+        const overlay = document.querySelector('.product-detail-overlay');
+        document.removeEventListener('keydown', this.handleKeydown);
+        document.body.style.overflow = '';
+
+        if (overlay) {
+            overlay.classList.remove('show');
+            setTimeout(() => {
+                overlay.remove();
+            }, 300);
+        }
+    }
+
+    getImages(product) {
+        const images = product.original_data.images_url || [];
+        return images.filter(img => img && img.trim() !== '');
+    }
+
+    // Enriched attributes, most confident first
+    getAttributes(product) {
+        return Object.entries(product.attributes || {})
+            .filter(([, attribute]) => attribute?.value)
+            .sort(([, a], [, b]) => (b.confidence ?? 0) - (a.confidence ?? 0));
+    }
+
+    render(product) {
+        const existingOverlay = document.querySelector('.product-detail-overlay');
+        if (existingOverlay) {
+            existingOverlay.remove();
+        }
+
+        const data = product.original_data;
+        const images = this.getImages(product);
+        const attributes = this.getAttributes(product);
+        const productId = this.getProductId(product);
+
+        const overlay = document.createElement('div');
+        overlay.className = 'product-detail-overlay';
+        overlay.innerHTML = `
+            <div class="product-detail" role="dialog" aria-modal="true" aria-label="${data.title || 'Product details'}">
+                <button class="product-detail-close" aria-label="Close product details">
+                    <svg width="24" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                        <path d="M18 6L6 18M6 6l12 12" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
+                    </svg>
+                </button>
+                <div class="product-detail-gallery">
+                    <div class="product-detail-stage" title="Click to zoom">
+                        ${images.length > 0
+                            ? `<img class="product-detail-image" src="${images[0]}" alt="${data.title}">`
+                            : '<div class="no-image">No Image</div>'}
+                    </div>
+                    ${images.length > 1 ? `
+                        <div class="product-detail-thumbnails">
+                            ${images.map((img, index) => `
+                                <button class="product-detail-thumbnail ${index === 0 ? 'active' : ''}" data-index="${index}"
+                                        aria-label="Show image ${index + 1} of ${images.length}">
+                                    <img src="${img}" alt="" loading="lazy">
+                                </button>
+                            `).join('')}
+                        </div>
+                    ` : ''}
+                </div>
+                <div class="product-detail-info">
+                    <div class="product-header">
+                        <div class="product-text">
+                            <div class="product-brand">${data.brand || ''}</div>
+                            <h2 class="product-detail-title">${this.catalogue.toSentenceCase(data.title) || 'Untitled'}</h2>
+                            <div class="product-detail-price">${data.price_eur ? `€${data.price_eur}` : 'Price not available'}</div>
+                        </div>
+                        <button class="favorite-btn" data-product-id="${productId}"
+                                aria-label="Add to favorites" title="Add to favorites">
+                            <svg class="heart-icon" width="20" height="20" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+                                <path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"
+                                      stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+                            </svg>
+                        </button>
+                    </div>
+                    <button class="product-detail-shop-btn">Go to shop</button>
+                    ${attributes.length > 0 ? `
+                        <div class="product-detail-section">
+                            <h3 class="product-detail-section-title">Details</h3>
+                            <dl class="product-detail-attributes">
+                                ${attributes.map(([attr, attribute]) => this.renderAttribute(attr, attribute)).join('')}
+                            </dl>
+                        </div>
+                    ` : ''}
+                    ${data.description ? `
+                        <div class="product-detail-section">
+                            <h3 class="product-detail-section-title">Description</h3>
+                            <p class="product-detail-description">${data.description}</p>
+                        </div>
+                    ` : ''}
+                </div>
+                <div class="similar-items product-detail-similar" style="display: none;"></div>
+            </div>
+        `;
+
+        document.body.appendChild(overlay);
+        this.bindEvents(overlay, product);
+
+        // Trigger the transition after the overlay is in the DOM
+        requestAnimationFrame(() => overlay.classList.add('show'));
+        document.body.style.overflow = 'hidden';
+        document.addEventListener('keydown', this.handleKeydown);
+
+        this.catalogue.initializeFavoriteButtons();
+        if (window.favoritesManager) {
+            window.favoritesManager.updateFavoriteButtons();
+        }
+
+        this.catalogue.renderSimilarItems(overlay.querySelector('.product-detail-similar'), [productId], {
+            placement: 'product_detail'
+        });
+    }
+
+    renderAttribute(attr, attribute) {
+        const confidence = typeof attribute.confidence === 'number'
+            ? Math.round(attribute.confidence * 100)
+            : null;
+
+        return `
+            <div class="product-detail-attribute">
+                <dt>${this.catalogue.formatAttributeName(attr)}</dt>
+                <dd>
+                    <span class="product-detail-attribute-value">${this.catalogue.formatAttributeValue(attribute.value)}</span>
+                    ${confidence !== null ? `
+                        <span class="product-detail-confidence" title="Confidence ${confidence}%">
+                            <span class="product-detail-confidence-bar" style="width: ${confidence}%"></span>
+                        </span>
+                        <span class="product-detail-confidence-label">${confidence}%</span>
+                    ` : ''}
+                </dd>
+            </div>
+        `;
+    }
+
+    bindEvents(overlay, product) {
+        overlay.querySelector('.product-detail-close').addEventListener('click', () => {
+            this.close();
+        });
+
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) {
+                this.close();
+            }
+        });
+
+        overlay.querySelectorAll('.product-detail-thumbnail').forEach(thumbnail => {
+            thumbnail.addEventListener('click', () => {
+                this.showImage(parseInt(thumbnail.dataset.index));
+            });
+        });
+
+        // Click to zoom, then pan by moving the pointer
+        const stage = overlay.querySelector('.product-detail-stage');
+        stage.addEventListener('click', () => {
+            if (!stage.querySelector('.product-detail-image')) return;
+            stage.classList.toggle('zoomed');
+            stage.title = stage.classList.contains('zoomed') ? 'Click to zoom out' : 'Click to zoom';
+        });
+        stage.addEventListener('mousemove', (e) => {
+            if (!stage.classList.contains('zoomed')) return;
+            const rect = stage.getBoundingClientRect();
+            const x = ((e.clientX - rect.left) / rect.width) * 100;
+            const y = ((e.clientY - rect.top) / rect.height) * 100;
+            stage.querySelector('.product-detail-image').style.transformOrigin = `${x}% ${y}%`;
+        });
+
+        overlay.querySelector('.product-detail-shop-btn').addEventListener('click', () => {
+            // Track outbound click to the retailer
+            if (window.analytics) {
+                window.analytics.trackProductInteraction(product, 'shop_click', {
+                    imageIndex: this.currentImage,
+                    metadata: {
+                        searchQuery: this.catalogue.filters.searchQuery || null
+                    }
+                });
+            }
+            window.open(product.original_data.item_page_url, '_blank');
+        });
+    }
+
+    showImage(index) {
+        const images = this.getImages(this.product);
+        if (index < 0 || index >= images.length || index === this.currentImage) return;
+
+        this.currentImage = index;
+
+        const overlay = document.querySelector('.product-detail-overlay');
+        const stage = overlay.querySelector('.product-detail-stage');
+        stage.classList.remove('zoomed');
+        stage.querySelector('.product-detail-image').src = images[index];
+
+        overlay.querySelectorAll('.product-detail-thumbnail').forEach((thumbnail, i) => {
+            thumbnail.classList.toggle('active', i === index);
+        });
+
+        // Track image navigation
+        if (window.analytics) {
+            window.analytics.trackProductInteraction(this.product, 'image_navigation', {
+                imageIndex: index,
+                metadata: {
+                    view: 'detail',
+                    totalImages: images.length
+                }
+            });
+        }
+    }
+
+    handleKeydown(e) {
+        if (e.key === 'Escape') {
+            this.close();
+        } else if (e.key === 'ArrowLeft') {
+            this.showImage(this.currentImage - 1);
+        } else if (e.key === 'ArrowRight') {
+            this.showImage(this.currentImage + 1);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProductDetailView;
+} else {
+    window.ProductDetailView = ProductDetailView;
+}
@@ -11,26 +11,97 @@ class FashionCatalogue {
             attributes: {},
             priceMin: null,
             priceMax: null,
-            searchQuery: ''
+            searchQuery: '',
+            sort: 'relevance',
+            attributeMatch: 'strict' // 'strict' applies the CONFIG confidence thresholds, 'lenient' ignores them
         };
+        this.sortOptions = [
+            { value: 'relevance', label: 'Recommended' },
+            { value: 'price_asc', label: 'Price: low to high' },
+            { value: 'price_desc', label: 'Price: high to low' },
+            { value: 'brand_asc', label: 'Brand: A–Z' },
+            { value: 'newest', label: 'Newest' },
+            { value: 'most_favorited', label: 'Most favorited' }
+        ];
+        this.hasProductDates = false;
+        this.hasFavoriteCounts = false;
+        this.pendingSort = null;        // sort from the URL that waits for favorite counts
+        this.userQuery = null;          // settles when the user's query in flight does
         this.categoryAttributes = {};
-        this.isLoading = false;
+        this.categoryAttributeValues = {};
+        this.catalogueComplete = false; // false while product chunks are still streaming in
+        this.filterOptionsStale = false;
+        this.isInitialized = false;
         this.activeDropdown = null;
         this.searchTimeout = null;
-        this.searchIndex = [];
-        this.stopWords = new Set(['the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by', 'is', 'are', 'was', 'were', 'be', 'been', 'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could', 'should']);
+
+        // Search and filtering run in the catalogue worker
+        this.engine = null;
+        this.searchTokens = [];
+        this.searchSuggestions = [];
+        this.queryErrors = [];  // operators in the search box that could not be applied
+        this.searchMatches = new Map(); // product -> highlight ranges (and score breakdown) for the search
+        this.searchId = null;           // engine search the matches belong to; more are fetched per page
+        this.filteredIndexes = [];      // engine product indexes of filteredProducts
+        this.explainScores = window.CONFIG?.SEARCH_SCORE_DEBUG === true ||
+            new URLSearchParams(window.location.search).get('debug') === 'scores';
+        this.facetCounts = { brands: {}, categories: {}, attributes: {} };
 
         // Analytics tracking
         this.searchStartTime = null;
 
+        // Only the rows near the viewport are kept in the DOM
+        this.productGrid = null;
+        this.infiniteScroll = window.CONFIG?.INFINITE_SCROLL !== false && 'IntersectionObserver' in window;
+        this.loadMoreMargin = 800; // px below the viewport at which the next page is loaded
+        this.scrollStorageKey = 'catalogue_scroll_position';
+
+        // Product detail overlay (#/product/:id)
+        this.productDetail = new ProductDetailView(this);
+        this.lastUrlSearch = null; // query string last read or written, to tell hash-only navigation apart
+
+        // Query string keys owned by the catalogue; anything else (utm_*) is left alone
+        this.urlParams = {
+            search: 'q',
+            brand: 'brand',
+            category: 'category',
+            priceMin: 'price_min',
+            priceMax: 'price_max',
+            page: 'page',
+            sort: 'sort',
+            attributeMatch: 'match',
+            attributePrefix: 'attr_'
+        };
+
         this.init();
     }
 
     async init() {
         await this.loadData();
         this.setupEventListeners();
+        this.setupProductGrid();
+
+        // Restore filters, search and page depth from a shared/bookmarked URL
+        this.isInitialized = true;
+        const pageDepth = this.readStateFromUrl();
         this.renderFilters();
-        this.applyFilters();
+        this.syncFilterControls();
+        this.applyFilters({ history: 'replace', pages: pageDepth }).then(applied => {
+            if (!applied) return;
+            this.updateSearchResultsInfo();
+            this.restoreScrollPosition();
+        });
+
+        // Favorite counts need a Supabase round trip: don't hold the first render for them
+        this.loadFavoriteCounts();
+
+        // Open a linked product once the catalogue is loaded
+        this.productDetail.handleRoute();
+
+        // Open a shared favorites link
+        if (window.favoritesManager) {
+            window.favoritesManager.handleShareRoute();
+        }
 
         // Refresh favorites UI after initial load
         setTimeout(() => {
@@ -40,243 +111,224 @@ class FashionCatalogue {
         }, 1000); // Give some time for everything to initialize
     }
 
-    async loadData() {
+    setupProductGrid() {
+        this.productGrid = new VirtualGrid(document.getElementById('products-grid'), {
+            renderItem: (card, product, position) => this.renderProductCard(card, product, position),
+            onRender: () => this.initializeRenderedCards()
+        });
+
+        if (this.infiniteScroll) {
+            // Load the next page before the user reaches the end of the grid
+            const sentinel = document.querySelector('.load-more-container');
+            const observer = new IntersectionObserver((entries) => {
+                if (entries.some(entry => entry.isIntersecting)) {
+                    this.loadMoreOnScroll();
+                }
+            }, { rootMargin: `0px 0px ${this.loadMoreMargin}px 0px` });
+            observer.observe(sentinel);
+        }
+
+        // Scroll position is restored by product index once the grid is rendered
+        if ('scrollRestoration' in window.history) {
+            window.history.scrollRestoration = 'manual';
+        }
+        window.addEventListener('pagehide', () => {
+            this.saveScrollPosition();
+        });
+    }
+
+    saveScrollPosition() {
         try {
-            const response = await fetch('data/products.json');
-            this.allProducts = await response.json();
-            
-            // Sort by confidence score (highest first) - hidden from user
-            this.allProducts.sort((a, b) => (b.confidence_score || 0) - (a.confidence_score || 0));
-            
-            this.preprocessData();
-            console.log(`Loaded ${this.allProducts.length} products`);
+            sessionStorage.setItem(this.scrollStorageKey, JSON.stringify({
+                search: window.location.search,
+                index: this.productGrid.getFirstVisibleIndex()
+            }));
         } catch (error) {
-            console.error('Error loading data:', error);
-            document.getElementById('loading-indicator').textContent = 'Error loading products. Please refresh the page.';
+            console.warn('Could not save scroll position:', error);
         }
     }
 
-    preprocessData() {
-        const brands = new Set();
-        const categories = new Set();
-        const categoryAttributeMap = {};
+    // Back on the same catalogue URL: scroll to the products the user was looking at
+    restoreScrollPosition() {
+        let saved = null;
+        try {
+            saved = JSON.parse(sessionStorage.getItem(this.scrollStorageKey));
+            sessionStorage.removeItem(this.scrollStorageKey);
+        } catch (error) {
+            return;
+        }
+
+        if (!saved || saved.search !== window.location.search || !(saved.index > 0)) return;
+        this.productGrid.scrollToIndex(Math.min(saved.index, this.displayedProducts.length - 1));
+    }
 
-        this.allProducts.forEach(item => {
-            // Extract brands
-            if (item.original_data?.brand) {
-                brands.add(item.original_data.brand);
+    async loadData() {
+        try {
+            this.engine = new CatalogueEngineClient();
+            if (window.CONFIG?.SEARCH_RANKING) {
+                this.engine.setRankingProfile(window.CONFIG.SEARCH_RANKING).catch(() => {}); // kept by the client on failure
+            }
+            if (window.CONFIG?.SEARCH_SYNONYMS_URL) {
+                this.engine.loadSynonyms(window.CONFIG.SEARCH_SYNONYMS_URL).catch(() => {}); // kept by the client on failure
             }
+            const handlers = {
+                onChunk: (chunk) => this.handleChunk(chunk),
+                onChunkError: (error) => this.handleChunkError(error),
+                onReload: (catalogue) => this.handleCatalogueReload(catalogue),
+                onUpdate: () => this.handleCatalogueUpdate()
+            };
 
-            // Extract enriched categories
-            if (item.enriched_category) {
-                categories.add(item.enriched_category);
-                
-                // Map attributes to categories
-                if (!categoryAttributeMap[item.enriched_category]) {
-                    categoryAttributeMap[item.enriched_category] = new Set();
-                }
-                
-                if (item.attributes) {
-                    Object.keys(item.attributes).forEach(attr => {
-                        if (item.attributes[attr]?.value) {
-                            categoryAttributeMap[item.enriched_category].add(attr);
-                        }
-                    });
+            const loadCatalogue = async () => {
+                try {
+                    return await this.engine.load('data/manifest.json', handlers);
+                } catch (error) {
+                    if (error.workerFailed) throw error;
+                    // Datasets that were never split by build-chunks.js load as one file
+                    console.warn('No product manifest, loading data/products.json:', error.message);
+                    return this.engine.load('data/products.json', handlers);
                 }
+            };
+
+            let catalogue;
+            try {
+                catalogue = await loadCatalogue();
+            } catch (error) {
+                if (!error.workerFailed) throw error;
+                // The client has switched to the main thread; load again there
+                catalogue = await loadCatalogue();
             }
-        });
 
-        this.availableBrands = Array.from(brands).sort();
-        this.availableCategories = Array.from(categories).sort();
-        this.categoryAttributes = categoryAttributeMap;
-        
-        // Build search index for better performance
-        this.buildSearchIndex();
-    }
+            // Own copy: without a worker the engine shares its product array
+            this.allProducts = catalogue.products.slice();
+            this.catalogueComplete = catalogue.complete;
 
-    // Advanced Search Engine Methods
-    normalizeText(text) {
-        if (!text) return '';
-        return text.toLowerCase()
-            .replace(/[^\w\s]/g, ' ')  // Replace punctuation with spaces
-            .replace(/[-_]/g, ' ')     // Convert hyphens/underscores to spaces
-            .replace(/\s+/g, ' ')      // Normalize multiple spaces
-            .trim();
+            this.preprocessData(catalogue);
+            console.log(`Loaded ${this.allProducts.length} of ${catalogue.totalCount} products${catalogue.fromCache ? ' from cache' : ''}`);
+        } catch (error) {
+            console.error('Error loading data:', error);
+            document.getElementById('loading-indicator').textContent = 'Error loading products. Please refresh the page.';
+        }
     }
 
-    // Convert text to sentence case (first letter capitalized, rest lowercase)
-    toSentenceCase(text) {
-        if (!text) return '';
-        return text.charAt(0).toUpperCase() + text.slice(1).toLowerCase();
+    preprocessData(catalogue) {
+        // Brands, categories and attribute values are extracted by the worker
+        this.availableBrands = catalogue.brands;
+        this.availableCategories = catalogue.categories;
+        this.categoryAttributes = catalogue.categoryAttributes;
+        this.categoryAttributeValues = catalogue.attributeValues;
+        this.hasProductDates = catalogue.hasDates;
     }
 
-    tokenize(text) {
-        if (!text) return [];
-        return this.normalizeText(text)
-            .split(' ')
-            .filter(token => token.length > 1)  // Remove single characters
-            .filter(token => !this.stopWords.has(token)); // Remove stop words
-    }
-
-    buildSearchIndex() {
-        this.searchIndex = this.allProducts.map((product, index) => ({
-            productIndex: index,
-            titleTokens: this.tokenize(product.original_data?.title),
-            descriptionTokens: this.tokenize(product.original_data?.description),
-            normalizedTitle: this.normalizeText(product.original_data?.title),
-            normalizedDescription: this.normalizeText(product.original_data?.description),
-            allTokens: [
-                ...this.tokenize(product.original_data?.title || ''),
-                ...this.tokenize(product.original_data?.description || '')
-            ]
-        }));
-        console.log(`Built search index for ${this.searchIndex.length} products`);
-    }
-
-    calculateRelevanceScore(searchTokens, productIndex) {
-        const product = this.searchIndex[productIndex];
-        let score = 0;
-        let matchedTerms = 0;
-
-        searchTokens.forEach(searchToken => {
-            let termScore = 0;
-            let termMatched = false;
-
-            // Exact title matches (highest weight)
-            if (product.titleTokens.includes(searchToken)) {
-                termScore += 3;
-                termMatched = true;
-            }
+    // A chunk streamed in after the first one: refresh filter options and results
+    handleChunk(chunk) {
+        this.allProducts.push(...chunk.products);
+        this.preprocessData(chunk);
+        this.catalogueComplete = chunk.complete;
 
-            // Fuzzy title matches
-            product.titleTokens.forEach(titleToken => {
-                if (this.fuzzyMatch(searchToken, titleToken)) {
-                    termScore += 2;
-                    termMatched = true;
-                }
-            });
+        // Before init() renders anything, the first render picks the chunk up
+        if (!this.isInitialized) return;
 
-            // Exact description matches
-            if (product.descriptionTokens.includes(searchToken)) {
-                termScore += 1;
-                termMatched = true;
-            }
-
-            // Fuzzy description matches
-            product.descriptionTokens.forEach(descToken => {
-                if (this.fuzzyMatch(searchToken, descToken)) {
-                    termScore += 0.5;
-                    termMatched = true;
-                }
-            });
-
-            // Phrase matching bonus
-            if (product.normalizedTitle.includes(searchToken)) {
-                termScore += 1;
-                termMatched = true;
-            }
-            if (product.normalizedDescription.includes(searchToken)) {
-                termScore += 0.5;
-                termMatched = true;
-            }
+        this.refreshCatalogueView();
+        if (chunk.complete) {
+            this.handleCatalogueComplete();
+        }
+    }
 
-            if (termMatched) {
-                matchedTerms++;
-                score += termScore;
-            }
-        });
+    // The catalogue worker failed after loading and the main thread loaded the data
+    // again; its product indexes replace the worker's
+    handleCatalogueReload(catalogue) {
+        this.allProducts = catalogue.products.slice();
+        this.catalogueComplete = catalogue.complete;
+        this.preprocessData(catalogue);
 
-        // Coverage bonus: reward products that match more search terms
-        const coverageBonus = (matchedTerms / searchTokens.length) * 2;
-        score += coverageBonus;
+        if (!this.isInitialized) return;
 
-        return {
-            score: score,
-            matchedTerms: matchedTerms,
-            totalTerms: searchTokens.length,
-            coverage: matchedTerms / searchTokens.length
-        };
+        this.refreshCatalogueView();
+        if (catalogue.complete) {
+            this.handleCatalogueComplete();
+        }
     }
 
-    fuzzyMatch(term1, term2, threshold = 0.8) {
-        if (term1 === term2) return true;
-        if (term1.length < 3 || term2.length < 3) return false;
-        
-        // Simple fuzzy matching: check if one term contains the other (partial matching)
-        if (term1.includes(term2) || term2.includes(term1)) return true;
-        
-        // Levenshtein distance for typo tolerance
-        const distance = this.levenshteinDistance(term1, term2);
-        const maxLength = Math.max(term1.length, term2.length);
-        const similarity = 1 - (distance / maxLength);
-        
-        return similarity >= threshold;
+    // Filter options and results after the products changed
+    refreshCatalogueView() {
+        if (this.activeDropdown) {
+            // Don't wipe choices in an open dropdown; re-render when one opens next
+            this.filterOptionsStale = true;
+        } else {
+            this.renderFilters();
+            this.renderDynamicAttributeFilters();
+        }
+
+        this.applyFilters({ history: 'none', pages: Math.max(1, this.currentPage), background: true }).then(applied => {
+            if (applied) this.updateSearchResultsInfo();
+        });
     }
 
-    levenshteinDistance(str1, str2) {
-        const matrix = [];
+    // A later chunk failed and the rest will not arrive: carry on with the products loaded
+    handleChunkError(error) {
+        console.error('Error loading product chunk:', error.message);
+        this.catalogueComplete = true;
 
-        for (let i = 0; i <= str2.length; i++) {
-            matrix[i] = [i];
+        if (window.authUI) {
+            window.authUI.showNotification('Some products could not be loaded. Refresh the page to try again.', 'error');
         }
 
-        for (let j = 0; j <= str1.length; j++) {
-            matrix[0][j] = j;
-        }
+        // Before init() renders anything, the first render reads catalogueComplete
+        if (!this.isInitialized) return;
 
-        for (let i = 1; i <= str2.length; i++) {
-            for (let j = 1; j <= str1.length; j++) {
-                if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
-                    matrix[i][j] = matrix[i - 1][j - 1];
-                } else {
-                    matrix[i][j] = Math.min(
-                        matrix[i - 1][j - 1] + 1, // substitution
-                        matrix[i][j - 1] + 1,     // insertion
-                        matrix[i - 1][j] + 1      // deletion
-                    );
-                }
-            }
-        }
+        this.updateResultsCount();
+        this.handleCatalogueComplete();
+    }
 
-        return matrix[str2.length][str1.length];
+    // No more chunks are coming
+    handleCatalogueComplete() {
+        // A linked product may have been in a later chunk
+        this.productDetail.handleRoute();
+        if (window.favoritesManager) {
+            window.favoritesManager.checkPriceDrops();
+            window.favoritesManager.refreshSharedFavorites();
+        }
     }
 
-    performAdvancedSearch(query) {
-        if (!query || query.trim().length === 0) {
-            return this.allProducts.map((_, index) => ({ product: this.allProducts[index], score: 0 }));
+    // A newer dataset was downloaded in the background and is used from the next visit
+    handleCatalogueUpdate() {
+        if (window.authUI) {
+            window.authUI.showNotification('New products are available. Refresh the page to see them.', 'info');
         }
+    }
 
-        const searchTokens = this.tokenize(query);
-        if (searchTokens.length === 0) {
-            return this.allProducts.map((_, index) => ({ product: this.allProducts[index], score: 0 }));
+    // Popularity for the "most favorited" sort, when the backend exposes it
+    async loadFavoriteCounts() {
+        if (!this.engine || !window.favoritesManager) return;
+
+        const counts = await window.favoritesManager.getProductFavoriteCounts();
+        if (!counts) return;
+
+        try {
+            await this.engine.setFavoriteCounts(counts);
+        } catch (error) {
+            console.warn('Could not apply favorite counts:', error.message);
+            return;
         }
+        this.hasFavoriteCounts = true;
 
-        // Calculate relevance scores for all products
-        const results = [];
-        this.searchIndex.forEach((indexedProduct, searchIndex) => {
-            const relevance = this.calculateRelevanceScore(searchTokens, searchIndex);
-            
-            // Only include products with some relevance (at least one matching term)
-            if (relevance.matchedTerms > 0) {
-                results.push({
-                    product: this.allProducts[indexedProduct.productIndex],
-                    score: relevance.score,
-                    matchedTerms: relevance.matchedTerms,
-                    coverage: relevance.coverage
-                });
-            }
-        });
+        // A linked "most favorited" sort waited for the counts, unless the user has sorted since
+        if (this.pendingSort && this.filters.sort === 'relevance') {
+            this.filters.sort = this.pendingSort;
+        }
+        this.pendingSort = null;
+        this.renderSortOptions();
 
-        // Sort by relevance score (highest first)
-        results.sort((a, b) => {
-            if (b.score !== a.score) return b.score - a.score;
-            // If scores are equal, prefer higher coverage
-            if (b.coverage !== a.coverage) return b.coverage - a.coverage;
-            // Finally, maintain confidence-based sorting
-            return (b.product.confidence_score || 0) - (a.product.confidence_score || 0);
+        if (this.filters.sort !== 'most_favorited') return;
+        this.applyFilters({ history: 'replace', pages: Math.max(1, this.currentPage), background: true }).then(applied => {
+            if (applied) this.updateSearchResultsInfo();
         });
+    }
 
-        return results;
+    // Convert text to sentence case (first letter capitalized, rest lowercase)
+    toSentenceCase(text) {
+        if (!text) return '';
+        return text.charAt(0).toUpperCase() + text.slice(1).toLowerCase();
     }
 
     setupEventListeners() {
@@ -331,6 +383,16 @@ class FashionCatalogue {
             this.filterCategoryOptions(e.target.value);
         });
 
+        // Sort order
+        document.getElementById('sort-select').addEventListener('change', (e) => {
+            this.saveSort(e.target.value);
+        });
+
+        // Strict / lenient attribute matching
+        document.getElementById('attribute-match-strict').addEventListener('change', (e) => {
+            this.saveAttributeMatch(e.target.checked ? 'strict' : 'lenient');
+        });
+
         // Clear all filters
         document.getElementById('clear-all-filters').addEventListener('click', () => {
             this.clearAllFilters();
@@ -345,12 +407,20 @@ class FashionCatalogue {
         document.getElementById('search-input').addEventListener('input', (e) => {
             this.handleSearch(e.target.value);
         });
+        this.searchAutocomplete = new SearchAutocomplete(this, document.getElementById('search-input'));
 
         // Search clear button
         document.getElementById('search-clear').addEventListener('click', () => {
             this.clearSearch();
         });
 
+        // Back/forward navigation replays the filter state stored in the URL
+        window.addEventListener('popstate', () => {
+            // Hash-only changes belong to the product detail route
+            if (window.location.search === this.lastUrlSearch) return;
+            this.restoreStateFromUrl();
+        });
+
         // Close dropdown when clicking outside
         document.addEventListener('click', () => {
             this.closeAllDropdowns();
@@ -396,6 +466,12 @@ class FashionCatalogue {
         const button = document.getElementById(`${type}-button`);
         const panel = document.getElementById(`${type}-panel`);
 
+        // Options that arrived with later chunks while another dropdown was open
+        if (this.filterOptionsStale) {
+            this.filterOptionsStale = false;
+            this.renderFilters();
+        }
+
         button.classList.add('active');
         panel.classList.add('show');
         this.activeDropdown = type;
@@ -435,15 +511,56 @@ class FashionCatalogue {
     renderFilters() {
         this.renderBrandFilters();
         this.renderCategoryFilters();
+        this.renderSortOptions();
+        this.renderAttributeMatchToggle();
         this.updateFilterButtons();
     }
 
+    renderAttributeMatchToggle() {
+        const toggle = document.getElementById('attribute-match-toggle');
+        toggle.style.display = window.CONFIG?.SHOW_ATTRIBUTE_MATCH_TOGGLE ? 'flex' : 'none';
+        document.getElementById('attribute-match-strict').checked = this.filters.attributeMatch === 'strict';
+    }
+
+    getAttributeConfidence() {
+        if (this.filters.attributeMatch === 'lenient') {
+            return { min: 0, overrides: {} };
+        }
+
+        return {
+            min: window.CONFIG?.ATTRIBUTE_MIN_CONFIDENCE ?? 0,
+            overrides: window.CONFIG?.ATTRIBUTE_CONFIDENCE_OVERRIDES || {}
+        };
+    }
+
+    getAvailableSortOptions() {
+        return this.sortOptions.filter(option => {
+            if (option.value === 'newest') return this.hasProductDates;
+            if (option.value === 'most_favorited') return this.hasFavoriteCounts;
+            return true;
+        });
+    }
+
+    renderSortOptions() {
+        const select = document.getElementById('sort-select');
+        select.innerHTML = '';
+
+        this.getAvailableSortOptions().forEach(option => {
+            const element = document.createElement('option');
+            element.value = option.value;
+            element.textContent = option.label;
+            select.appendChild(element);
+        });
+
+        select.value = this.filters.sort;
+    }
+
     renderBrandFilters() {
         const container = document.getElementById('brand-options');
         container.innerHTML = '';
 
         this.availableBrands.forEach(brand => {
-            const option = this.createFilterOption(brand, brand, this.filters.brands.has(brand));
+            const option = this.createFilterOption(brand, brand, this.filters.brands.has(brand), this.facetCounts.brands[brand] || 0);
             container.appendChild(option);
         });
     }
@@ -454,12 +571,13 @@ class FashionCatalogue {
 
         this.availableCategories.forEach(category => {
             const displayName = this.formatCategoryName(category);
-            const option = this.createFilterOption(category, displayName, this.filters.categories.has(category));
+            const option = this.createFilterOption(category, displayName, this.filters.categories.has(category), this.facetCounts.categories[category] || 0);
             container.appendChild(option);
         });
     }
 
-    createFilterOption(value, displayText, checked = false) {
+    // Attribute options also carry the attribute name; values may contain any character
+    createFilterOption(value, displayText, checked = false, count = null, attribute = null) {
         const option = document.createElement('div');
         option.className = 'filter-option';
 
@@ -467,16 +585,51 @@ class FashionCatalogue {
         checkbox.type = 'checkbox';
         checkbox.checked = checked;
         checkbox.dataset.value = value;
+        if (attribute) {
+            checkbox.dataset.attribute = attribute;
+        }
 
         const label = document.createElement('label');
         label.textContent = displayText;
 
+        const countBadge = document.createElement('span');
+        countBadge.className = 'filter-option-count';
+
         option.appendChild(checkbox);
         option.appendChild(label);
+        option.appendChild(countBadge);
+
+        if (count !== null) {
+            this.setFilterOptionCount(option, count);
+        }
 
         return option;
     }
 
+    setFilterOptionCount(option, count) {
+        option.querySelector('.filter-option-count').textContent = count;
+        // Grey out options that would return nothing, unless already selected
+        option.classList.toggle('is-empty', count === 0 && !option.querySelector('input').checked);
+    }
+
+    // Refresh facet counts on every rendered option after applyFilters
+    updateFacetCounts() {
+        document.querySelectorAll('#brand-options .filter-option').forEach(option => {
+            const brand = option.querySelector('input').dataset.value;
+            this.setFilterOptionCount(option, this.facetCounts.brands[brand] || 0);
+        });
+
+        document.querySelectorAll('#category-options .filter-option').forEach(option => {
+            const category = option.querySelector('input').dataset.value;
+            this.setFilterOptionCount(option, this.facetCounts.categories[category] || 0);
+        });
+
+        document.querySelectorAll('.dynamic-dropdown-panel .filter-option').forEach(option => {
+            const { attribute, value } = option.querySelector('input').dataset;
+            this.setFilterOptionCount(option, this.facetCounts.attributes[attribute]?.[value] || 0);
+        });
+    }
+
     filterBrandOptions(searchTerm) {
         const options = document.querySelectorAll('#brand-options .filter-option');
         options.forEach(option => {
@@ -495,7 +648,7 @@ class FashionCatalogue {
         });
     }
 
-    saveBrandFilters() {
+    async saveBrandFilters() {
         const checkboxes = document.querySelectorAll('#brand-options input[type="checkbox"]');
         const previousBrands = new Set(this.filters.brands);
         this.filters.brands.clear();
@@ -508,7 +661,7 @@ class FashionCatalogue {
 
         this.closeDropdown('brand');
         this.updateFilterButtons();
-        this.applyFilters();
+        await this.applyFilters();
 
         // Track filter event
         if (window.analytics) {
@@ -522,7 +675,7 @@ class FashionCatalogue {
         }
     }
 
-    saveCategoryFilters() {
+    async saveCategoryFilters() {
         const checkboxes = document.querySelectorAll('#category-options input[type="checkbox"]');
         this.filters.categories.clear();
 
@@ -535,7 +688,7 @@ class FashionCatalogue {
         this.closeDropdown('category');
         this.updateFilterButtons();
         this.renderDynamicAttributeFilters();
-        this.applyFilters();
+        await this.applyFilters();
 
         // Track filter event
         if (window.analytics) {
@@ -549,7 +702,7 @@ class FashionCatalogue {
         }
     }
 
-    savePriceFilters() {
+    async savePriceFilters() {
         const minPrice = document.getElementById('min-price').value;
         const maxPrice = document.getElementById('max-price').value;
 
@@ -558,7 +711,7 @@ class FashionCatalogue {
 
         this.closeDropdown('price');
         this.updateFilterButtons();
-        this.applyFilters();
+        await this.applyFilters();
 
         // Track filter event
         if (window.analytics) {
@@ -572,6 +725,38 @@ class FashionCatalogue {
         }
     }
 
+    async saveSort(sort) {
+        this.filters.sort = sort;
+        await this.applyFilters();
+
+        // Track sort change
+        if (window.analytics) {
+            window.analytics.trackFilter(
+                'sort',
+                'change',
+                'sort',
+                sort,
+                this.filteredProducts.length
+            );
+        }
+    }
+
+    async saveAttributeMatch(mode) {
+        this.filters.attributeMatch = mode;
+        await this.applyFilters();
+
+        // Track strict / lenient comparison
+        if (window.analytics) {
+            window.analytics.trackFilter(
+                'attribute_match',
+                'change',
+                'attribute_match',
+                mode,
+                this.filteredProducts.length
+            );
+        }
+    }
+
     resetBrandFilters() {
         document.querySelectorAll('#brand-options input[type="checkbox"]').forEach(cb => {
             cb.checked = false;
@@ -604,12 +789,9 @@ class FashionCatalogue {
                     if (!attributeValues[attr]) {
                         attributeValues[attr] = new Set();
                     }
-                    
-                    this.allProducts.forEach(item => {
-                        if (item.enriched_category === category && 
-                            item.attributes?.[attr]?.value) {
-                            attributeValues[attr].add(item.attributes[attr].value);
-                        }
+
+                    this.categoryAttributeValues[category][attr].forEach(value => {
+                        attributeValues[attr].add(value);
                     });
                 });
             }
@@ -646,7 +828,8 @@ class FashionCatalogue {
 
         Array.from(values).sort().forEach(value => {
             const isSelected = this.filters.attributes[attribute]?.has(value) || false;
-            const option = this.createFilterOption(`${attribute}:${value}`, this.formatAttributeValue(value), isSelected);
+            const count = this.facetCounts.attributes[attribute]?.[value] || 0;
+            const option = this.createFilterOption(value, this.formatAttributeValue(value), isSelected, count, attribute);
             content.appendChild(option);
         });
 
@@ -699,7 +882,7 @@ class FashionCatalogue {
         }
     }
 
-    saveDynamicAttributeFilter(container, attribute) {
+    async saveDynamicAttributeFilter(container, attribute) {
         const checkboxes = container.querySelectorAll('input[type="checkbox"]');
         
         if (!this.filters.attributes[attribute]) {
@@ -710,8 +893,7 @@ class FashionCatalogue {
         
         checkboxes.forEach(cb => {
             if (cb.checked) {
-                const value = cb.dataset.value.split(':')[1];
-                this.filters.attributes[attribute].add(value);
+                this.filters.attributes[attribute].add(cb.dataset.value);
             }
         });
 
@@ -724,7 +906,7 @@ class FashionCatalogue {
         this.activeDropdown = null;
 
         this.updateFilterButtons();
-        this.applyFilters();
+        await this.applyFilters();
     }
 
     resetDynamicAttributeFilter(container, attribute) {
@@ -750,9 +932,11 @@ class FashionCatalogue {
         }
 
         // Debounce search - wait 300ms after user stops typing
-        this.searchTimeout = setTimeout(() => {
+        this.searchTimeout = setTimeout(async () => {
             this.filters.searchQuery = query.toLowerCase().trim();
-            this.applyFilters();
+
+            // A newer query superseded this one while it was being computed
+            if (!await this.applyFilters()) return;
             this.updateSearchResultsInfo();
 
             // Track search event
@@ -768,7 +952,49 @@ class FashionCatalogue {
         }, 300);
     }
 
-    clearSearch() {
+    // An autocomplete pick: completions and recent searches replace the query, brands
+    // and categories are applied as filters in place of what was typed
+    async applySearchSuggestion(suggestion, typedQuery) {
+        clearTimeout(this.searchTimeout);
+        const duration = this.searchStartTime ? new Date() - this.searchStartTime : null;
+        this.searchStartTime = null;
+
+        const isFilter = suggestion.type === 'brand' || suggestion.type === 'category';
+        if (isFilter) {
+            this.filters[suggestion.type === 'brand' ? 'brands' : 'categories'].add(suggestion.value);
+            this.filters.searchQuery = '';
+            this.renderFilters();
+        } else {
+            this.filters.searchQuery = suggestion.value.toLowerCase().trim();
+        }
+        this.syncFilterControls();
+
+        if (!await this.applyFilters()) return;
+        this.updateSearchResultsInfo();
+
+        if (window.analytics) {
+            window.analytics.trackSearch(
+                isFilter ? typedQuery : suggestion.value,
+                this.filteredProducts.length,
+                duration,
+                false,
+                { source: 'autocomplete', suggestionType: suggestion.type, suggestion: suggestion.value, typedQuery }
+            );
+
+            if (isFilter) {
+                const key = suggestion.type === 'brand' ? 'brands' : 'categories';
+                window.analytics.trackFilter(
+                    suggestion.type,
+                    'autocomplete',
+                    key,
+                    Array.from(this.filters[key]),
+                    this.filteredProducts.length
+                );
+            }
+        }
+    }
+
+    async clearSearch() {
         const searchInput = document.getElementById('search-input');
         const clearButton = document.getElementById('search-clear');
 
@@ -778,7 +1004,7 @@ class FashionCatalogue {
         clearButton.style.display = 'none';
         this.filters.searchQuery = '';
 
-        this.applyFilters();
+        if (!await this.applyFilters()) return;
         this.updateSearchResultsInfo();
 
         // Track search clear event
@@ -792,7 +1018,7 @@ class FashionCatalogue {
         
         if (this.filters.searchQuery && this.filters.searchQuery.trim().length > 0) {
             const resultCount = this.filteredProducts.length;
-            const searchTokens = this.tokenize(this.filters.searchQuery);
+            const searchTokens = this.searchTokens;
             
             let infoText = `${resultCount} results for "${this.filters.searchQuery}"`;
             
@@ -801,43 +1027,25 @@ class FashionCatalogue {
             }
             
             if (resultCount === 0) {
-                const suggestions = this.generateSearchSuggestions(this.filters.searchQuery);
+                const suggestions = this.searchSuggestions;
                 if (suggestions.length > 0) {
                     infoText += `. Did you mean: ${suggestions.slice(0, 3).join(', ')}?`;
                 }
             }
             
             searchResultsInfo.textContent = infoText;
+
+            if (this.queryErrors.length > 0) {
+                const errors = document.createElement('span');
+                errors.className = 'search-query-error';
+                errors.textContent = this.queryErrors.join('. ');
+                searchResultsInfo.appendChild(errors);
+            }
         } else {
             searchResultsInfo.textContent = '';
         }
     }
 
-    generateSearchSuggestions(query) {
-        // Simple suggestion system - find similar terms in the product index
-        const suggestions = new Set();
-        const normalizedQuery = this.normalizeText(query);
-        const queryTokens = this.tokenize(query);
-        
-        // Look for similar tokens in our search index
-        this.searchIndex.forEach(product => {
-            product.allTokens.forEach(token => {
-                queryTokens.forEach(queryToken => {
-                    // Suggest tokens that are similar but not identical
-                    if (token !== queryToken && this.fuzzyMatch(queryToken, token, 0.7)) {
-                        suggestions.add(token);
-                    }
-                    // Also suggest tokens that contain the query token
-                    if (token.length > queryToken.length && token.includes(queryToken)) {
-                        suggestions.add(token);
-                    }
-                });
-            });
-        });
-
-        return Array.from(suggestions).slice(0, 5);
-    }
-
     updateFilterButtons() {
         // Update brand button text
         const brandButton = document.querySelector('#brand-button .filter-label');
@@ -890,77 +1098,198 @@ class FashionCatalogue {
         });
     }
 
-    applyFilters() {
-        // Start with search results if there's a search query
-        let productsToFilter;
-        
-        if (this.filters.searchQuery && this.filters.searchQuery.trim().length > 0) {
-            // Use advanced search to get relevance-ranked results
-            const searchResults = this.performAdvancedSearch(this.filters.searchQuery);
-            productsToFilter = searchResults.map(result => result.product);
-            console.log(`Advanced search for "${this.filters.searchQuery}" found ${productsToFilter.length} results`);
-        } else {
-            // No search query, start with all products (sorted by confidence)
-            productsToFilter = [...this.allProducts];
-        }
+    serializeFilters() {
+        const attributes = {};
+        Object.entries(this.filters.attributes).forEach(([attr, values]) => {
+            attributes[attr] = Array.from(values);
+        });
 
-        // Apply other filters to the search results
-        this.filteredProducts = productsToFilter.filter(item => {
-            // Brand filter
-            if (this.filters.brands.size > 0) {
-                if (!this.filters.brands.has(item.original_data?.brand)) {
-                    return false;
-                }
-            }
+        return {
+            brands: Array.from(this.filters.brands),
+            categories: Array.from(this.filters.categories),
+            attributes,
+            priceMin: this.filters.priceMin,
+            priceMax: this.filters.priceMax,
+            searchQuery: this.filters.searchQuery,
+            sort: this.filters.sort,
+            attributeConfidence: this.getAttributeConfidence(),
+            explainScores: this.explainScores
+        };
+    }
 
-            // Category filter
-            if (this.filters.categories.size > 0) {
-                if (!this.filters.categories.has(item.enriched_category)) {
-                    return false;
-                }
-            }
+    // history: 'push' records a new entry, 'replace' rewrites the current one, 'none' leaves the URL alone
+    // background: a re-query for changed data (a new chunk, favorite counts). It waits for
+    // the user's query in flight instead of superseding it, so the user's caller still
+    // gets its results (and tracks its search)
+    async applyFilters({ history = 'push', pages = 1, background = false } = {}) {
+        if (!this.engine) return false;
 
-            // Price filter
-            if (this.filters.priceMin !== null || this.filters.priceMax !== null) {
-                const price = item.original_data?.price_eur;
-                if (price) {
-                    if (this.filters.priceMin !== null && price < this.filters.priceMin) return false;
-                    if (this.filters.priceMax !== null && price > this.filters.priceMax) return false;
-                }
-            }
+        if (background) {
+            while (this.userQuery) await this.userQuery;
+        }
 
-            // Attribute filters
-            for (const [attr, values] of Object.entries(this.filters.attributes)) {
-                if (values.size > 0) {
-                    const itemValue = item.attributes?.[attr]?.value;
-                    if (!itemValue || !values.has(itemValue)) {
-                        return false;
-                    }
-                }
+        // Search, filtering and facet counting happen in the catalogue worker
+        let result;
+        try {
+            // Search matches come with the pages shown now; loadSearchMatches() fetches later ones
+            const matchCount = this.itemsPerPage * Math.max(1, pages);
+            const request = this.engine.query({ ...this.serializeFilters(), matchCount });
+            if (!background) {
+                const settled = request.then(() => {}, () => {});
+                this.userQuery = settled;
+                settled.then(() => {
+                    if (this.userQuery === settled) this.userQuery = null;
+                });
             }
+            result = await request;
+        } catch (error) {
+            console.error('Error applying filters:', error);
+            return false;
+        }
 
-            return true;
-        });
+        // Superseded by a newer query
+        if (!result) return false;
+
+        this.filteredIndexes = result.productIndexes;
+        this.filteredProducts = result.productIndexes.map(index => this.allProducts[index]);
+        this.facetCounts = result.facets;
+        this.searchTokens = result.searchTokens;
+        this.searchSuggestions = result.suggestions;
+        this.queryErrors = result.queryErrors;
+        this.searchId = result.searchId;
+        this.searchMatches = new Map(Object.entries(result.searchMatches)
+            .map(([index, match]) => [this.allProducts[index], match]));
+        this.updateFacetCounts();
 
         // Reset pagination
         this.currentPage = 0;
         this.displayedProducts = [];
-        
-        // Load first page
-        this.loadMoreProducts();
+
+        if (history !== 'none') {
+            this.updateUrl(history);
+        }
+
+        // Load first page (or every page up to a restored depth)
+        const availablePages = Math.ceil(this.filteredProducts.length / this.itemsPerPage);
+        this.loadMoreProducts(Math.max(1, Math.min(pages, availablePages)));
         this.updateResultsCount();
+
+        return true;
     }
 
-    loadMoreProducts() {
-        if (this.isLoading) return;
+    readStateFromUrl() {
+        this.lastUrlSearch = window.location.search;
+        const params = new URLSearchParams(window.location.search);
+        const keys = this.urlParams;
+        const parsePrice = (value) => {
+            const price = parseFloat(value);
+            return Number.isFinite(price) ? price : null;
+        };
+
+        this.filters.brands = new Set(params.getAll(keys.brand));
+        this.filters.categories = new Set(params.getAll(keys.category));
+        this.filters.priceMin = parsePrice(params.get(keys.priceMin));
+        this.filters.priceMax = parsePrice(params.get(keys.priceMax));
+        this.filters.searchQuery = (params.get(keys.search) || '').toLowerCase().trim();
+
+        const sort = params.get(keys.sort);
+        this.filters.sort = this.getAvailableSortOptions().some(option => option.value === sort) ? sort : 'relevance';
+        // Favorite counts load after the first render; loadFavoriteCounts() applies this sort then
+        this.pendingSort = sort === 'most_favorited' && !this.hasFavoriteCounts ? sort : null;
+        this.filters.attributeMatch = params.get(keys.attributeMatch) === 'lenient' ? 'lenient' : 'strict';
 
-        this.isLoading = true;
-        document.getElementById('loading-indicator').style.display = 'block';
+        this.filters.attributes = {};
+        params.forEach((value, key) => {
+            if (!key.startsWith(keys.attributePrefix)) return;
+            const attr = key.slice(keys.attributePrefix.length);
+            if (!this.filters.attributes[attr]) {
+                this.filters.attributes[attr] = new Set();
+            }
+            this.filters.attributes[attr].add(value);
+        });
 
-        // Track load more event
+        const page = parseInt(params.get(keys.page), 10);
+        return Number.isFinite(page) && page > 0 ? page : 1;
+    }
+
+    buildUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const keys = this.urlParams;
+
+        // Drop previous catalogue state, keep unrelated parameters
+        Array.from(params.keys()).forEach(key => {
+            if (Object.values(keys).includes(key) || key.startsWith(keys.attributePrefix)) {
+                params.delete(key);
+            }
+        });
+
+        if (this.filters.searchQuery) params.set(keys.search, this.filters.searchQuery);
+        this.filters.brands.forEach(brand => params.append(keys.brand, brand));
+        this.filters.categories.forEach(category => params.append(keys.category, category));
+        if (this.filters.priceMin !== null) params.set(keys.priceMin, this.filters.priceMin);
+        if (this.filters.priceMax !== null) params.set(keys.priceMax, this.filters.priceMax);
+
+        Object.keys(this.filters.attributes).sort().forEach(attr => {
+            this.filters.attributes[attr].forEach(value => {
+                params.append(`${keys.attributePrefix}${attr}`, value);
+            });
+        });
+
+        if (this.filters.sort !== 'relevance') params.set(keys.sort, this.filters.sort);
+        if (this.filters.attributeMatch !== 'strict') params.set(keys.attributeMatch, this.filters.attributeMatch);
+        if (this.currentPage > 1) params.set(keys.page, this.currentPage);
+
+        const query = params.toString();
+        return `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+    }
+
+    updateUrl(mode = 'push') {
+        const url = this.buildUrl();
+        const currentUrl = `${window.location.pathname}${window.location.search}${window.location.hash}`;
+        if (url === currentUrl) return;
+
+        if (mode === 'replace') {
+            window.history.replaceState({ catalogue: true }, '', url);
+        } else {
+            window.history.pushState({ catalogue: true }, '', url);
+        }
+        this.lastUrlSearch = window.location.search;
+    }
+
+    restoreStateFromUrl() {
+        const pageDepth = this.readStateFromUrl();
+        this.closeAllDropdowns();
+        this.renderFilters();
+        this.syncFilterControls();
+
+        this.applyFilters({ history: 'none', pages: pageDepth }).then(applied => {
+            if (applied) this.updateSearchResultsInfo();
+        });
+    }
+
+    // Reflect this.filters in the search box, price inputs and attribute dropdowns
+    syncFilterControls() {
+        const searchInput = document.getElementById('search-input');
+        searchInput.value = this.filters.searchQuery;
+        document.getElementById('search-clear').style.display = this.filters.searchQuery ? 'block' : 'none';
+
+        document.getElementById('min-price').value = this.filters.priceMin ?? '';
+        document.getElementById('max-price').value = this.filters.priceMax ?? '';
+        document.getElementById('sort-select').value = this.filters.sort;
+        document.getElementById('attribute-match-strict').checked = this.filters.attributeMatch === 'strict';
+
+        this.renderDynamicAttributeFilters();
+        this.updateFilterButtons();
+    }
+
+    // trigger is 'button' for the Load More button and 'scroll' for infinite scroll
+    loadMoreProducts(pageCount = 1, trigger = 'button') {
+        // Track load more event; infinite scroll keeps the button's event type so existing
+        // reports still count it, and metadata.trigger tells the two apart
         if (window.analytics && this.currentPage > 0) {
             window.analytics.trackEvent('click', 'load_more_button', {
                 metadata: {
+                    trigger,
                     currentPage: this.currentPage,
                     displayedProductsCount: this.displayedProducts.length,
                     totalFilteredProducts: this.filteredProducts.length,
@@ -969,43 +1298,79 @@ class FashionCatalogue {
             });
         }
 
-        setTimeout(() => {
-            const startIndex = this.currentPage * this.itemsPerPage;
-            const endIndex = startIndex + this.itemsPerPage;
-            const newProducts = this.filteredProducts.slice(startIndex, endIndex);
+        const startIndex = this.currentPage * this.itemsPerPage;
+        const endIndex = startIndex + this.itemsPerPage * pageCount;
+        const newProducts = this.filteredProducts.slice(startIndex, endIndex);
 
-            if (this.currentPage === 0) {
-                this.displayedProducts = newProducts;
-                this.renderProducts();
-            } else {
-                this.displayedProducts = [...this.displayedProducts, ...newProducts];
-                this.appendProducts(newProducts);
-            }
+        if (this.currentPage === 0) {
+            this.displayedProducts = newProducts;
+            this.renderProducts();
+        } else {
+            this.displayedProducts = [...this.displayedProducts, ...newProducts];
+            this.appendProducts(newProducts);
+            this.loadSearchMatches(startIndex, startIndex + newProducts.length);
+        }
 
-            this.currentPage++;
+        this.currentPage += pageCount;
 
-            const hasMoreProducts = endIndex < this.filteredProducts.length;
-            document.getElementById('load-more-btn').style.display = hasMoreProducts ? 'block' : 'none';
-            document.getElementById('loading-indicator').style.display = 'none';
+        // Keep the page depth in the URL without adding history entries
+        this.updateUrl('replace');
 
-            this.isLoading = false;
-        }, 300);
+        const hasMoreProducts = endIndex < this.filteredProducts.length;
+        document.getElementById('load-more-btn').style.display = hasMoreProducts && !this.infiniteScroll ? 'block' : 'none';
+        document.getElementById('loading-indicator').style.display = 'none';
+
+        // The observer only fires on changes, so keep loading while the end is still in range
+        if (hasMoreProducts && this.infiniteScroll) {
+            requestAnimationFrame(() => {
+                const sentinel = document.querySelector('.load-more-container');
+                if (sentinel.getBoundingClientRect().top < window.innerHeight + this.loadMoreMargin) {
+                    this.loadMoreOnScroll();
+                }
+            });
+        }
     }
 
-    renderProducts() {
-        const container = document.getElementById('products-grid');
-        container.innerHTML = '';
-        this.appendProducts(this.displayedProducts);
+    loadMoreOnScroll() {
+        if (this.displayedProducts.length >= this.filteredProducts.length) return;
+        this.loadMoreProducts(1, 'scroll');
     }
 
-    appendProducts(products) {
-        const container = document.getElementById('products-grid');
+    // Highlights of search results shown after the first pages; their cards are filled
+    // again once they arrive
+    async loadSearchMatches(start, end) {
+        const searchId = this.searchId;
+        const indexes = this.filteredIndexes.slice(start, end)
+            .filter(index => !this.searchMatches.has(this.allProducts[index]));
+        if (searchId === null || indexes.length === 0) return;
 
-        products.forEach(product => {
-            const card = this.createProductCard(product);
-            container.appendChild(card);
+        let matches;
+        try {
+            matches = await this.engine.getSearchMatches(searchId, indexes);
+        } catch (error) {
+            console.warn('Could not load search highlights:', error.message);
+            return;
+        }
+
+        // Another search ran in the meantime
+        if (!matches || searchId !== this.searchId) return;
+
+        Object.entries(matches).forEach(([index, match]) => {
+            this.searchMatches.set(this.allProducts[index], match);
         });
+        this.productGrid.refreshItems(start, end);
+    }
 
+    renderProducts() {
+        this.productGrid.setItems(this.displayedProducts);
+    }
+
+    appendProducts(products) {
+        this.productGrid.appendItems(products);
+    }
+
+    // Runs whenever the grid filled new (or recycled) cards
+    initializeRenderedCards() {
         this.initializeImageSliders();
         this.initializeFavoriteButtons();
 
@@ -1018,14 +1383,24 @@ class FashionCatalogue {
         document.dispatchEvent(new CustomEvent('productsRendered'));
     }
 
-    createProductCard(product) {
+    // Reuses a recycled card when one is given
+    renderProductCard(card, product, position) {
+        card = card || this.createProductCard();
+        this.fillProductCard(card, product, position);
+        return card;
+    }
+
+    createProductCard() {
         const card = document.createElement('div');
         card.className = 'product-card';
         card.addEventListener('click', (e) => {
+            const position = parseInt(card.dataset.position);
+            const product = this.displayedProducts[position];
+
             // Track product click
             if (window.analytics) {
                 window.analytics.trackProductInteraction(product, 'click', {
-                    positionInList: this.displayedProducts.indexOf(product),
+                    positionInList: position,
                     metadata: {
                         currentPage: this.currentPage,
                         isFiltered: this.filteredProducts.length < this.allProducts.length,
@@ -1033,11 +1408,22 @@ class FashionCatalogue {
                     }
                 });
             }
-            window.open(product.original_data.item_page_url, '_blank');
+            this.productDetail.open(product, { positionInList: position });
         });
 
+        return card;
+    }
+
+    fillProductCard(card, product, position) {
+        card.dataset.position = position;
+
         const images = product.original_data.images_url || [];
         const validImages = images.filter(img => img && img.trim() !== '').slice(0, 6);
+        const rawTitle = product.original_data.title;
+        const title = this.toSentenceCase(rawTitle);
+        const match = this.searchMatches.get(product);
+        // Match ranges are offsets into the raw title: cut it there, then sentence-case each piece
+        const sentenceCase = (text, offset) => offset === 0 ? this.toSentenceCase(text) : text.toLowerCase();
 
         card.innerHTML = `
             <div class="product-image-container">
@@ -1056,12 +1442,18 @@ class FashionCatalogue {
                         `).join('')}
                     </div>
                 ` : ''}
+                ${match?.snippet || match?.breakdown ? `
+                    <div class="product-search-match">
+                        ${match.snippet ? `<div class="product-snippet">${match.snippet.clippedStart ? '…' : ''}${this.highlightText(match.snippet.text, match.snippet.ranges)}${match.snippet.clippedEnd ? '…' : ''}</div>` : ''}
+                        ${match.breakdown ? this.renderScoreBreakdown(match.breakdown) : ''}
+                    </div>
+                ` : ''}
             </div>
             <div class="product-info">
                 <div class="product-header">
                     <div class="product-text">
                         <div class="product-brand">${product.original_data.brand || ''}</div>
-                        <div class="product-title">${this.toSentenceCase(product.original_data.title) || 'Untitled'}</div>
+                        <div class="product-title">${title && match ? this.highlightText(rawTitle, match.title, sentenceCase) : title || 'Untitled'}</div>
                         <div class="product-price">${product.original_data.price_eur ? `€${product.original_data.price_eur}` : 'Price not available'}</div>
                     </div>
                     <button class="favorite-btn" data-product-id="${product.id || product.original_data.item_page_url}"
@@ -1074,8 +1466,113 @@ class FashionCatalogue {
                 </div>
             </div>
         `;
+    }
 
-        return card;
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // Wrap the [start, end] ranges of text in <mark>; format(piece, offset) restyles
+    // each piece after the ranges were applied, so they keep matching the text
+    highlightText(text, ranges, format = piece => piece) {
+        const piece = (start, end) => this.escapeHtml(format(text.slice(start, end), start));
+        let html = '';
+        let position = 0;
+        ranges.forEach(([start, end]) => {
+            html += `${piece(position, start)}<mark class="search-hit">${piece(start, end)}</mark>`;
+            position = end;
+        });
+        return html + piece(position, text.length);
+    }
+
+    // Debug view of how a search result scored, for tuning the ranking weights
+    renderScoreBreakdown(breakdown) {
+        const round = value => Number(value.toFixed(2));
+        const partNames = {
+            exactTitle: 'exact title',
+            fuzzyTitle: 'title',
+            exactDescription: 'exact description',
+            fuzzyDescription: 'description',
+            phrase: 'phrase'
+        };
+
+        const terms = breakdown.terms.map(term => {
+            const parts = Object.entries(term.parts)
+                .filter(([, value]) => value > 0)
+                .map(([part, value]) => `${partNames[part]} ${round(value)}`)
+                .join(' + ');
+            return `<li>${this.escapeHtml(term.term)} ${round(term.score)} = ${parts} <span class="search-score-words">(${this.escapeHtml(term.words.join(', '))})</span></li>`;
+        }).join('');
+
+        return `
+            <div class="search-score-breakdown">
+                <div class="search-score-total">Score ${round(breakdown.score)}</div>
+                <ul>${terms}<li>coverage +${round(breakdown.coverageBonus)}</li></ul>
+            </div>
+        `;
+    }
+
+    // "You may also like" rail for the given products; placement tags analytics
+    async renderSimilarItems(container, productIds, { placement, limit = 12, onSelect = null } = {}) {
+        if (!this.engine || productIds.length === 0) return;
+
+        let similarIndexes;
+        try {
+            similarIndexes = await this.engine.similar(productIds, limit);
+        } catch (error) {
+            console.error('Error loading similar items:', error);
+            return;
+        }
+
+        // The view may have been closed or re-rendered meanwhile
+        if (!container.isConnected || similarIndexes.length === 0) return;
+
+        const products = similarIndexes.map(index => this.allProducts[index]);
+        container.innerHTML = `
+            <h3 class="similar-items-title">You may also like</h3>
+            <div class="similar-items-rail"></div>
+        `;
+
+        const rail = container.querySelector('.similar-items-rail');
+        products.forEach((product, position) => {
+            const data = product.original_data;
+            const image = (data.images_url || []).find(img => img && img.trim() !== '');
+
+            const item = document.createElement('button');
+            item.className = 'similar-item';
+            item.innerHTML = `
+                <div class="similar-item-image">
+                    ${image ? `<img src="${image}" alt="${data.title}" loading="lazy">` : '<div class="no-image">No Image</div>'}
+                </div>
+                <div class="product-brand">${data.brand || ''}</div>
+                <div class="similar-item-title">${this.toSentenceCase(data.title) || 'Untitled'}</div>
+                <div class="similar-item-price">${data.price_eur ? `€${data.price_eur}` : 'Price not available'}</div>
+            `;
+
+            item.addEventListener('click', () => {
+                // Track recommendation click
+                if (window.analytics) {
+                    window.analytics.trackProductInteraction(product, 'similar_click', {
+                        positionInList: position,
+                        metadata: {
+                            placement,
+                            seedProductIds: productIds
+                        }
+                    });
+                }
+
+                if (onSelect) onSelect(product);
+                this.productDetail.open(product, { positionInList: position });
+            });
+
+            rail.appendChild(item);
+        });
+
+        container.style.display = 'block';
     }
 
     initializeImageSliders() {
@@ -1105,7 +1602,7 @@ class FashionCatalogue {
         // Track image navigation
         if (window.analytics) {
             const productCard = container.closest('.product-card');
-            const productIndex = Array.from(document.querySelectorAll('.product-card')).indexOf(productCard);
+            const productIndex = parseInt(productCard.dataset.position);
 
             if (productIndex >= 0 && this.displayedProducts[productIndex]) {
                 window.analytics.trackProductInteraction(
@@ -1243,17 +1740,7 @@ class FashionCatalogue {
     async handleFavoriteClick(btn) {
         const productId = btn.dataset.productId;
 
-        // Check if user is authenticated
-        if (!window.authManager || !window.authManager.isAuthenticated()) {
-            // Show login modal
-            if (window.authUI) {
-                window.authUI.showModal('login');
-            } else {
-                alert('Please log in to add favorites');
-            }
-            return;
-        }
-
+        // Guests' favorites are kept on this device until they sign in
         // Check if favorites manager is available
         if (!window.favoritesManager) {
             console.warn('Favorites manager not available');
@@ -1262,6 +1749,13 @@ class FashionCatalogue {
 
         try {
             const isFavorited = btn.classList.contains('favorited');
+            const hasCollections = window.favoritesManager.getCollections().length > 1;
+
+            // With several collections a saved item's heart opens the collection picker
+            if (isFavorited && hasCollections) {
+                window.favoritesManager.showCollectionPicker(btn, productId);
+                return;
+            }
 
             if (isFavorited) {
                 await window.favoritesManager.removeFavorite(productId);
@@ -1275,12 +1769,17 @@ class FashionCatalogue {
                 btn.setAttribute('title', 'Remove from favorites');
             }
 
+            // Saved to the default collection; offer to pick another
+            if (!isFavorited && hasCollections) {
+                window.favoritesManager.showCollectionPicker(btn, productId);
+            }
+
             // Track analytics
             if (window.analytics) {
                 window.analytics.trackEvent('click', isFavorited ? 'remove_favorite' : 'add_favorite', {
                     productId: productId,
                     metadata: {
-                        userId: window.authManager.getUserId()
+                        userId: window.authManager ? window.authManager.getUserId() : null
                     }
                 });
             }
@@ -1297,16 +1796,22 @@ class FashionCatalogue {
         this.filters.priceMin = null;
         this.filters.priceMax = null;
         this.filters.searchQuery = '';
+        this.filters.sort = 'relevance';
+        this.filters.attributeMatch = 'strict';
 
         // Reset all checkboxes
         document.querySelectorAll('input[type="checkbox"]').forEach(cb => {
             cb.checked = false;
         });
+        this.renderAttributeMatchToggle();
 
         // Reset price inputs
         document.getElementById('min-price').value = '';
         document.getElementById('max-price').value = '';
 
+        // Reset sort order
+        document.getElementById('sort-select').value = 'relevance';
+
         // Reset search input
         document.getElementById('search-input').value = '';
         document.getElementById('search-clear').style.display = 'none';
@@ -1323,7 +1828,7 @@ class FashionCatalogue {
     updateResultsCount() {
         const count = this.filteredProducts.length;
         document.getElementById('results-count').textContent = 
-            `Showing ${count} products`;
+            `Showing ${count} products${this.catalogueComplete ? '' : ' (loading more…)'}`;
     }
 
     formatCategoryName(category) {
@@ -1372,32 +1877,98 @@ class FashionCatalogue {
             activeFilters.search = this.filters.searchQuery;
         }
 
+        if (this.filters.sort !== 'relevance') {
+            activeFilters.sort = this.filters.sort;
+        }
+
+        if (this.filters.attributeMatch !== 'strict') {
+            activeFilters.attributeMatch = this.filters.attributeMatch;
+        }
+
         return activeFilters;
     }
 }
 
+// Attach the visitor's anonymous history to the signed-in account
+function linkAnalyticsToAccount() {
+    if (window.analytics && window.authManager && window.authManager.isAuthenticated()) {
+        window.analytics.linkToAccount(window.authManager.getSupabaseClient(), window.authManager.getUserId());
+    }
+}
+
+function startAnalytics(transport) {
+    try {
+        window.analytics = initializeAnalytics(
+            window.CONFIG.SUPABASE_URL,
+            window.CONFIG.SUPABASE_ANON_KEY,
+            transport
+        );
+        linkAnalyticsToAccount();
+
+        if (window.CONFIG.DEBUG_MODE) {
+            console.log('Analytics initialized successfully');
+        }
+    } catch (error) {
+        console.error('Failed to initialize analytics:', error);
+    }
+}
+
+// Start or stop tracking, and drop stored identifiers, to match the visitor's consent
+function applyTrackingConsent(consent, transport) {
+    if (consent.analytics) {
+        if (!window.analytics) {
+            startAnalytics(transport);
+        }
+    } else if (window.analytics) {
+        window.analytics.stop();
+        window.analytics = null;
+    }
+
+    // Undecided visitors keep their ID until they choose
+    if (!consent.decided) return;
+
+    if (!consent.analytics) {
+        clearStoredAnalyticsEvents();
+        clearUserIdentification();
+    } else if (!consent.fingerprinting) {
+        clearUserIdentification({ deviceRecognitionOnly: true });
+    }
+}
+
 // Initialize the app when DOM is loaded
 document.addEventListener('DOMContentLoaded', async () => {
-    // Initialize analytics if configured
+    // Initialize analytics if configured, once the visitor has consented
     if (window.CONFIG && window.CONFIG.ANALYTICS_ENABLED) {
+        let transport = null;
         try {
-            window.analytics = initializeAnalytics(
-                window.CONFIG.SUPABASE_URL,
-                window.CONFIG.SUPABASE_ANON_KEY
-            );
-
-            if (window.CONFIG.DEBUG_MODE) {
-                console.log('Analytics initialized successfully');
-            }
+            transport = createAnalyticsTransport(window.CONFIG);
         } catch (error) {
             console.error('Failed to initialize analytics:', error);
         }
+
+        if (transport) {
+            const consent = initializeConsent({ version: window.CONFIG.CONSENT_VERSION || 1, transport });
+            applyTrackingConsent(consent.getConsent(), transport);
+            consent.onChange(updated => applyTrackingConsent(updated, transport));
+        }
     }
 
     // Initialize authentication system
     if (window.CONFIG && window.CONFIG.AUTH_ENABLED) {
         try {
             await initializeAuth();
+
+            if (window.authManager) {
+                linkAnalyticsToAccount();
+                window.authManager.onAuthStateChange((event) => {
+                    if (event === 'SIGNED_IN') {
+                        linkAnalyticsToAccount();
+                    } else if (event === 'SIGNED_OUT' && window.analytics) {
+                        window.analytics.unlinkAccount();
+                    }
+                });
+            }
+
             if (window.CONFIG.DEBUG_MODE) {
                 console.log('Authentication system initialized successfully');
             }
@@ -1418,5 +1989,17 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     }
 
+    // "My data" export and erasure
+    if (window.CONFIG && window.CONFIG.SUPABASE_URL && window.CONFIG.SUPABASE_ANON_KEY) {
+        initializePersonalData(window.CONFIG.SUPABASE_URL, window.CONFIG.SUPABASE_ANON_KEY);
+    }
+
     window.fashionCatalogue = new FashionCatalogue();
+
+    // Precache the app shell so the catalogue opens offline
+    if ('serviceWorker' in navigator && window.location.protocol !== 'file:') {
+        navigator.serviceWorker.register('service-worker.js').catch(error => {
+            console.warn('Service worker registration failed:', error);
+        });
+    }
 });
\ No newline at end of file
@@ -0,0 +1,232 @@
+/**
+ * Search Autocomplete
+ * Suggestion panel under #search-input: recent searches, completions from
+ * product title words, and matching brands and categories (which are applied
+ * as filters). Arrow keys move through the suggestions, Enter picks one and
+ * Escape closes the panel. Recent searches are kept in localStorage only.
+ */
+
+class SearchAutocomplete {
+    constructor(catalogue, input) {
+        this.catalogue = catalogue;
+        this.input = input;
+        this.recentKey = 'search_recent';
+        this.maxRecent = 5;
+        this.delay = 120;        // ms after the last keystroke
+        this.panel = null;
+        this.suggestions = [];   // [{ type: 'recent'|'term'|'brand'|'category', value, label }]
+        this.activeIndex = -1;
+        this.timeout = null;
+        this.requestId = 0;      // answers to older requests are dropped
+
+        this.input.setAttribute('role', 'combobox');
+        this.input.setAttribute('aria-autocomplete', 'list');
+        this.input.setAttribute('aria-expanded', 'false');
+
+        this.input.addEventListener('input', () => this.scheduleUpdate());
+        this.input.addEventListener('focus', () => this.update());
+        this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+        this.input.addEventListener('blur', () => this.hide());
+    }
+
+    getRecentSearches() {
+        try {
+            return JSON.parse(localStorage.getItem(this.recentKey)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    addRecentSearch(query) {
+        const value = query.trim();
+        if (!value) return;
+
+        const recent = this.getRecentSearches().filter(item => item.toLowerCase() !== value.toLowerCase());
+        recent.unshift(value);
+        try {
+            localStorage.setItem(this.recentKey, JSON.stringify(recent.slice(0, this.maxRecent)));
+        } catch (error) {
+            console.warn('Could not store recent searches:', error.message);
+        }
+    }
+
+    clearRecentSearches() {
+        localStorage.removeItem(this.recentKey);
+    }
+
+    scheduleUpdate() {
+        clearTimeout(this.timeout);
+        this.timeout = setTimeout(() => this.update(), this.delay);
+    }
+
+    async update() {
+        clearTimeout(this.timeout);
+        const query = this.input.value;
+        const requestId = ++this.requestId;
+
+        const typed = query.trim().toLowerCase();
+        const recent = this.getRecentSearches()
+            .filter(item => item.toLowerCase() !== typed && item.toLowerCase().startsWith(typed))
+            .slice(0, typed ? 2 : this.maxRecent)
+            .map(value => ({ type: 'recent', value, label: value }));
+
+        let completions = { terms: [], brands: [], categories: [] };
+        if (typed && this.catalogue.engine) {
+            try {
+                completions = await this.catalogue.engine.autocomplete(query, 5);
+            } catch (error) {
+                console.warn('Autocomplete failed:', error.message);
+            }
+        }
+
+        // Typed on, or left the box, while the suggestions were computed
+        if (requestId !== this.requestId || document.activeElement !== this.input) return;
+
+        const recentValues = new Set(recent.map(item => item.value.toLowerCase()));
+        this.suggestions = [
+            ...recent,
+            ...completions.terms
+                .filter(value => !recentValues.has(value))
+                .map(value => ({ type: 'term', value, label: value })),
+            ...completions.brands.map(value => ({ type: 'brand', value, label: value })),
+            ...completions.categories.map(value => ({
+                type: 'category',
+                value,
+                label: this.catalogue.formatCategoryName(value)
+            }))
+        ];
+        this.activeIndex = -1;
+        this.render();
+    }
+
+    render() {
+        if (this.suggestions.length === 0) {
+            this.hide();
+            return;
+        }
+
+        if (!this.panel) {
+            this.panel = document.createElement('ul');
+            this.panel.id = 'search-autocomplete';
+            this.panel.className = 'search-autocomplete';
+            this.panel.setAttribute('role', 'listbox');
+            // Keep focus in the input so blur does not close the panel before the click
+            this.panel.addEventListener('mousedown', (e) => e.preventDefault());
+            this.panel.addEventListener('click', (e) => {
+                const option = e.target.closest('.search-autocomplete-option');
+                if (option) this.pick(Number(option.dataset.index));
+            });
+            this.input.closest('.search-input-wrapper').appendChild(this.panel);
+            this.input.setAttribute('aria-controls', this.panel.id);
+        }
+
+        const kinds = { recent: 'Recent', term: '', brand: 'Brand', category: 'Category' };
+        this.panel.innerHTML = '';
+        this.suggestions.forEach((suggestion, index) => {
+            const option = document.createElement('li');
+            option.id = `search-autocomplete-${index}`;
+            option.className = `search-autocomplete-option search-autocomplete-${suggestion.type}`;
+            option.setAttribute('role', 'option');
+            option.dataset.index = index;
+
+            const label = document.createElement('span');
+            label.className = 'search-autocomplete-label';
+            label.textContent = suggestion.label;
+            option.appendChild(label);
+
+            if (kinds[suggestion.type]) {
+                const kind = document.createElement('span');
+                kind.className = 'search-autocomplete-kind';
+                kind.textContent = kinds[suggestion.type];
+                option.appendChild(kind);
+            }
+
+            this.panel.appendChild(option);
+        });
+
+        this.panel.hidden = false;
+        this.input.setAttribute('aria-expanded', 'true');
+        this.setActive(this.activeIndex);
+    }
+
+    isOpen() {
+        return Boolean(this.panel && !this.panel.hidden);
+    }
+
+    setActive(index) {
+        this.activeIndex = index;
+        this.panel.querySelectorAll('.search-autocomplete-option').forEach((option, i) => {
+            option.classList.toggle('active', i === index);
+            option.setAttribute('aria-selected', i === index ? 'true' : 'false');
+        });
+
+        if (index >= 0) {
+            this.input.setAttribute('aria-activedescendant', `search-autocomplete-${index}`);
+        } else {
+            this.input.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    handleKeydown(e) {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            if (!this.isOpen()) {
+                this.update();
+                return;
+            }
+            e.preventDefault();
+
+            const count = this.suggestions.length;
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            // -1 (no selection) sits between the last and the first suggestion
+            this.setActive((this.activeIndex + step + count + 2) % (count + 1) - 1);
+            return;
+        }
+
+        if (e.key === 'Enter') {
+            if (this.isOpen() && this.activeIndex >= 0) {
+                e.preventDefault();
+                this.pick(this.activeIndex);
+            } else {
+                this.hide();
+                this.addRecentSearch(this.input.value);
+            }
+            return;
+        }
+
+        // Close the panel first; a second Escape clears the search
+        if (e.key === 'Escape' && this.isOpen()) {
+            e.stopPropagation();
+            this.hide();
+        }
+    }
+
+    pick(index) {
+        const suggestion = this.suggestions[index];
+        if (!suggestion) return;
+
+        const typedQuery = this.input.value.trim();
+        this.hide();
+        if (suggestion.type === 'recent' || suggestion.type === 'term') {
+            this.addRecentSearch(suggestion.value);
+        }
+        this.catalogue.applySearchSuggestion(suggestion, typedQuery);
+    }
+
+    hide() {
+        clearTimeout(this.timeout);
+        this.requestId++;
+        this.activeIndex = -1;
+        if (!this.panel) return;
+
+        this.panel.hidden = true;
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.removeAttribute('aria-activedescendant');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SearchAutocomplete };
+} else {
+    window.SearchAutocomplete = SearchAutocomplete;
+}
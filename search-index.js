@@ -0,0 +1,520 @@
+/**
+ * Product Search Index
+ * Inverted index over product titles and descriptions. Queries are resolved
+ * against the vocabulary (n-gram lookups for partial matches, a BK-tree for
+ * typo tolerance) so only candidate products are ever scored.
+ *
+ * Products and queries go through the same analysis: accents are folded,
+ * words are reduced by a light stemmer (plurals and -ing/-ed endings), and
+ * synonyms from search-synonyms.json are replaced by the first word of their
+ * group, so "jumpers" and "sweater" index and search as the same term.
+ */
+
+class BKTree {
+    constructor(distanceFn) {
+        this.distance = distanceFn;
+        this.root = null;
+    }
+
+    add(word) {
+        if (!this.root) {
+            this.root = { word, children: new Map() };
+            return;
+        }
+
+        let node = this.root;
+        while (true) {
+            const distance = this.distance(word, node.word);
+            if (distance === 0) return;
+
+            const child = node.children.get(distance);
+            if (!child) {
+                node.children.set(distance, { word, children: new Map() });
+                return;
+            }
+            node = child;
+        }
+    }
+
+    search(word, maxDistance) {
+        const matches = [];
+        if (!this.root) return matches;
+
+        const stack = [this.root];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            const distance = this.distance(word, node.word);
+
+            if (distance <= maxDistance) {
+                matches.push(node.word);
+            }
+
+            // Triangle inequality: only subtrees within the radius can match
+            node.children.forEach((child, childDistance) => {
+                if (childDistance >= distance - maxDistance && childDistance <= distance + maxDistance) {
+                    stack.push(child);
+                }
+            });
+        }
+
+        return matches;
+    }
+}
+
+class SearchIndex {
+    constructor() {
+        this.stopWords = new Set(['the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by', 'is', 'are', 'was', 'were', 'be', 'been', 'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could', 'should',
+            // Spanish and French, for Zara and Mango titles
+            'de', 'del', 'la', 'las', 'el', 'los', 'y', 'con', 'sin', 'para', 'por', 'le', 'les', 'des', 'du', 'et', 'avec', 'sans', 'pour', 'au', 'aux']);
+        this.gramSize = 2;
+        this.setRankingProfile(SearchIndex.defaultRanking);
+        this.synonyms = new Map();       // stemmed word -> term of its synonym group
+        this.synonymPhrases = [];        // [pattern, term] for multi-word synonyms such as "t shirt"
+        this.reset();
+    }
+
+    // Missing keys keep their default; see SearchIndex.defaultRanking
+    setRankingProfile(profile = {}) {
+        this.ranking = { ...SearchIndex.defaultRanking, ...profile };
+        this.fuzzyThreshold = this.ranking.fuzzyThreshold;
+    }
+
+    /**
+     * Synonym groups, e.g. [["trousers", "pants"], ["jumper", "sweater", "pullover"]].
+     * Every entry is indexed and searched as the first one. Call before build().
+     */
+    setSynonyms(groups) {
+        this.synonyms = new Map();
+        this.synonymPhrases = [];
+
+        (groups || []).forEach(group => {
+            const words = group.map(entry => this.normalizeText(entry)).filter(Boolean);
+            if (words.length < 2) return;
+
+            const term = this.stem(words[0].replace(/ /g, ''));
+            words.forEach(entry => {
+                if (entry.includes(' ')) {
+                    const phrase = entry.split(' ').map(word => this.stem(word)).join(' ');
+                    this.synonymPhrases.push([new RegExp(`\\b${phrase}\\b`, 'g'), term]);
+                } else {
+                    this.synonyms.set(this.stem(entry), term);
+                }
+            });
+        });
+    }
+
+    reset() {
+        this.products = [];
+        this.words = [];            // word id -> normalized word
+        this.wordIds = new Map();   // normalized word -> word id
+        this.postings = [];         // word id -> { products, titleCounts, descriptionCounts }
+        this.gramIndex = new Map(); // n-gram -> word ids containing it
+        this.bkTree = new BKTree((a, b) => this.levenshteinDistance(a, b));
+        this.titleWords = new Map(); // title word as written (accents folded) -> number of products
+    }
+
+    // Strip diacritics so "pantalón" and "pantalon", "brodé" and "brode" are one word
+    foldAccents(text) {
+        return text.normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/ß/g, 'ss')
+            .replace(/æ/g, 'ae')
+            .replace(/œ/g, 'oe')
+            .replace(/ø/g, 'o');
+    }
+
+    normalizeText(text) {
+        if (!text) return '';
+        return this.foldAccents(text.toLowerCase())
+            .replace(/[^\w\s]/g, ' ')  // Replace punctuation with spaces
+            .replace(/[-_]/g, ' ')     // Convert hyphens/underscores to spaces
+            .replace(/\s+/g, ' ')      // Normalize multiple spaces
+            .trim();
+    }
+
+    isToken(word) {
+        return word.length > 1 && !this.stopWords.has(word);
+    }
+
+    // Light suffix stripping; it only has to reduce a word and its inflections to
+    // the same stem, so stems like "embroider" or "pantalone" are fine
+    stem(word) {
+        if (word.length <= 3 || this.stopWords.has(word)) return word;
+
+        // Plurals first, so "leggings" and "legging" end up alike
+        let stem = word;
+        if (stem.endsWith('ies') && stem.length > 4) stem = `${stem.slice(0, -3)}y`;
+        else if (/(ss|x|z|ch|sh)es$/.test(stem)) stem = stem.slice(0, -2);
+        else if (stem.endsWith('s') && !/(ss|us|is)$/.test(stem)) stem = stem.slice(0, -1);
+
+        if (stem.endsWith('ing') && stem.length > 6) return stem.slice(0, -3);
+        if (stem.endsWith('ed') && stem.length > 5 && !stem.endsWith('eed')) return stem.slice(0, -2);
+        return stem;
+    }
+
+    // Normalized words as they are indexed: stemmed, with synonyms replaced
+    analyzeText(text) {
+        const normalized = this.normalizeText(text);
+        if (!normalized) return [];
+
+        let stemmed = normalized.split(' ').map(word => this.stem(word)).join(' ');
+        this.synonymPhrases.forEach(([pattern, term]) => {
+            stemmed = stemmed.replace(pattern, term);
+        });
+
+        return stemmed.split(' ').map(word => this.synonyms.get(word) || word);
+    }
+
+    tokenize(text) {
+        if (!text) return [];
+        return this.analyzeText(text).filter(token => this.isToken(token));
+    }
+
+    build(products) {
+        this.reset();
+        products.forEach(product => this.addProduct(product));
+        console.log(`Built search index for ${this.products.length} products (${this.words.length} terms)`);
+    }
+
+    addProduct(product) {
+        const productIndex = this.products.length;
+        this.products.push(product);
+
+        const counts = new Map();
+        const countWords = (text, field) => {
+            this.analyzeText(text).forEach(word => {
+                if (!counts.has(word)) counts.set(word, { title: 0, description: 0 });
+                counts.get(word)[field]++;
+            });
+        };
+
+        countWords(product.original_data?.title, 'title');
+        countWords(product.original_data?.description, 'description');
+
+        // Completions show words as written, not their stems
+        new Set(this.normalizeText(product.original_data?.title).split(' ')).forEach(word => {
+            if (this.isToken(word)) this.titleWords.set(word, (this.titleWords.get(word) || 0) + 1);
+        });
+
+        counts.forEach((count, word) => {
+            const posting = this.postings[this.getOrCreateWordId(word)];
+            posting.products.push(productIndex);
+            posting.titleCounts.push(count.title);
+            posting.descriptionCounts.push(count.description);
+        });
+
+        return productIndex;
+    }
+
+    getOrCreateWordId(word) {
+        let wordId = this.wordIds.get(word);
+        if (wordId !== undefined) return wordId;
+
+        wordId = this.words.length;
+        this.words.push(word);
+        this.wordIds.set(word, wordId);
+        this.postings.push({ products: [], titleCounts: [], descriptionCounts: [] });
+
+        this.getGrams(word).forEach(gram => {
+            if (!this.gramIndex.has(gram)) this.gramIndex.set(gram, []);
+            this.gramIndex.get(gram).push(wordId);
+        });
+
+        if (this.isToken(word)) {
+            this.bkTree.add(word);
+        }
+
+        return wordId;
+    }
+
+    getGrams(word) {
+        const grams = new Set();
+        for (let i = 0; i + this.gramSize <= word.length; i++) {
+            grams.add(word.substr(i, this.gramSize));
+        }
+        return grams;
+    }
+
+    // Word ids of every indexed word (stop words included) that contains the term
+    findWordsContaining(term) {
+        if (term.length < this.gramSize) {
+            return this.words.reduce((ids, word, wordId) => {
+                if (word.includes(term)) ids.push(wordId);
+                return ids;
+            }, []);
+        }
+
+        // Scan the shortest n-gram list and verify each candidate
+        let candidates = null;
+        for (const gram of this.getGrams(term)) {
+            const wordIds = this.gramIndex.get(gram);
+            if (!wordIds) return [];
+            if (!candidates || wordIds.length < candidates.length) {
+                candidates = wordIds;
+            }
+        }
+
+        return candidates.filter(wordId => this.words[wordId].includes(term));
+    }
+
+    // Word ids of every indexed token that fuzzyMatch() would accept for the term
+    findFuzzyWords(term, threshold = this.fuzzyThreshold) {
+        const matches = new Set();
+
+        const exactId = this.wordIds.get(term);
+        if (exactId !== undefined && this.isToken(term)) {
+            matches.add(exactId);
+        }
+
+        if (term.length < 3) return matches;
+
+        // Indexed tokens containing the term
+        this.findWordsContaining(term).forEach(wordId => {
+            const word = this.words[wordId];
+            if (word.length >= 3 && this.isToken(word)) matches.add(wordId);
+        });
+
+        // Indexed tokens contained in the term
+        for (let start = 0; start < term.length; start++) {
+            for (let end = start + 3; end <= term.length; end++) {
+                const wordId = this.wordIds.get(term.slice(start, end));
+                if (wordId !== undefined && this.isToken(this.words[wordId])) {
+                    matches.add(wordId);
+                }
+            }
+        }
+
+        // Typo tolerance: similarity >= threshold bounds the edit distance
+        const maxDistance = Math.floor(term.length * (1 - threshold) / threshold + 1e-9);
+        if (maxDistance > 0) {
+            this.bkTree.search(term, maxDistance).forEach(word => {
+                if (word.length >= 3 && this.fuzzyMatch(term, word, threshold)) {
+                    matches.add(this.wordIds.get(word));
+                }
+            });
+        }
+
+        return matches;
+    }
+
+    fuzzyMatch(term1, term2, threshold = this.fuzzyThreshold) {
+        if (term1 === term2) return true;
+        if (term1.length < 3 || term2.length < 3) return false;
+
+        // Simple fuzzy matching: check if one term contains the other (partial matching)
+        if (term1.includes(term2) || term2.includes(term1)) return true;
+
+        // Levenshtein distance for typo tolerance
+        const distance = this.levenshteinDistance(term1, term2);
+        const maxLength = Math.max(term1.length, term2.length);
+        const similarity = 1 - (distance / maxLength);
+
+        return similarity >= threshold;
+    }
+
+    levenshteinDistance(str1, str2) {
+        const matrix = [];
+
+        for (let i = 0; i <= str2.length; i++) {
+            matrix[i] = [i];
+        }
+
+        for (let j = 0; j <= str1.length; j++) {
+            matrix[0][j] = j;
+        }
+
+        for (let i = 1; i <= str2.length; i++) {
+            for (let j = 1; j <= str1.length; j++) {
+                if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
+                    matrix[i][j] = matrix[i - 1][j - 1];
+                } else {
+                    matrix[i][j] = Math.min(
+                        matrix[i - 1][j - 1] + 1, // substitution
+                        matrix[i][j - 1] + 1,     // insertion
+                        matrix[i - 1][j] + 1      // deletion
+                    );
+                }
+            }
+        }
+
+        return matrix[str2.length][str1.length];
+    }
+
+    // Per-product contribution of a single search term: its score, split into the
+    // parts it came from, and the indexed words that matched
+    scoreTerm(searchToken) {
+        const termScores = new Map();
+        const getMatch = (productIndex) => {
+            let match = termScores.get(productIndex);
+            if (!match) {
+                match = {
+                    score: 0,
+                    words: new Set(),
+                    parts: { exactTitle: 0, fuzzyTitle: 0, exactDescription: 0, fuzzyDescription: 0, phrase: 0 }
+                };
+                termScores.set(productIndex, match);
+            }
+            return match;
+        };
+        const addScore = (productIndex, part, value) => {
+            const match = getMatch(productIndex);
+            match.score += value;
+            match.parts[part] += value;
+        };
+
+        const ranking = this.ranking;
+        const exactId = this.wordIds.get(searchToken);
+
+        this.findFuzzyWords(searchToken).forEach(wordId => {
+            const posting = this.postings[wordId];
+            const isExact = wordId === exactId;
+
+            posting.products.forEach((productIndex, i) => {
+                const titleCount = posting.titleCounts[i];
+                const descriptionCount = posting.descriptionCounts[i];
+                getMatch(productIndex).words.add(this.words[wordId]);
+
+                // Exact title matches
+                if (isExact && titleCount > 0) addScore(productIndex, 'exactTitle', ranking.exactTitle);
+                // Fuzzy title matches, one per matching title token
+                if (titleCount > 0) addScore(productIndex, 'fuzzyTitle', ranking.fuzzyTitle * titleCount);
+                // Exact description matches
+                if (isExact && descriptionCount > 0) addScore(productIndex, 'exactDescription', ranking.exactDescription);
+                // Fuzzy description matches, one per matching description token
+                if (descriptionCount > 0) addScore(productIndex, 'fuzzyDescription', ranking.fuzzyDescription * descriptionCount);
+            });
+        });
+
+        // Phrase matching bonus, at most once per field
+        const titlePhrase = new Set();
+        const descriptionPhrase = new Set();
+        this.findWordsContaining(searchToken).forEach(wordId => {
+            const posting = this.postings[wordId];
+            posting.products.forEach((productIndex, i) => {
+                if (posting.titleCounts[i] > 0) titlePhrase.add(productIndex);
+                if (posting.descriptionCounts[i] > 0) descriptionPhrase.add(productIndex);
+                if (this.isToken(this.words[wordId])) getMatch(productIndex).words.add(this.words[wordId]);
+            });
+        });
+        titlePhrase.forEach(productIndex => addScore(productIndex, 'phrase', ranking.titlePhrase));
+        descriptionPhrase.forEach(productIndex => addScore(productIndex, 'phrase', ranking.descriptionPhrase));
+
+        return termScores;
+    }
+
+    search(query) {
+        const searchTokens = this.tokenize(query);
+        if (searchTokens.length === 0) return [];
+
+        const termScoreCache = new Map();
+        const candidates = new Map();
+
+        searchTokens.forEach(searchToken => {
+            if (!termScoreCache.has(searchToken)) {
+                termScoreCache.set(searchToken, this.scoreTerm(searchToken));
+            }
+
+            termScoreCache.get(searchToken).forEach((match, productIndex) => {
+                const candidate = candidates.get(productIndex) || { score: 0, matchedTerms: 0, terms: [] };
+                candidate.score += match.score;
+                candidate.matchedTerms++;
+                candidate.terms.push({ term: searchToken, ...match });
+                candidates.set(productIndex, candidate);
+            });
+        });
+
+        // Keep index order so ties fall back to the catalogue order
+        const results = Array.from(candidates.keys())
+            .sort((a, b) => a - b)
+            .map(productIndex => {
+                const candidate = candidates.get(productIndex);
+                const coverage = candidate.matchedTerms / searchTokens.length;
+
+                return {
+                    productIndex,
+                    product: this.products[productIndex],
+                    // Coverage bonus: reward products that match more search terms
+                    score: candidate.score + coverage * this.ranking.coverage,
+                    matchedTerms: candidate.matchedTerms,
+                    totalTerms: searchTokens.length,
+                    coverage,
+                    coverageBonus: coverage * this.ranking.coverage,
+                    terms: candidate.terms // per search term: { term, score, words, parts }
+                };
+            });
+
+        // Sort by relevance score (highest first)
+        results.sort((a, b) => {
+            if (b.score !== a.score) return b.score - a.score;
+            // If scores are equal, prefer higher coverage
+            if (b.coverage !== a.coverage) return b.coverage - a.coverage;
+            // Finally, maintain confidence-based sorting
+            return (b.product.confidence_score || 0) - (a.product.confidence_score || 0);
+        });
+
+        return results;
+    }
+
+    // Title words starting with the prefix, most common first
+    complete(prefix, limit = 5) {
+        const normalized = this.normalizeText(prefix);
+        if (!normalized || normalized.includes(' ')) return [];
+
+        const matches = [];
+        this.titleWords.forEach((count, word) => {
+            if (word.length > normalized.length && word.startsWith(normalized)) {
+                matches.push({ word, count });
+            }
+        });
+
+        return matches
+            .sort((a, b) => b.count - a.count || a.word.localeCompare(b.word))
+            .slice(0, limit)
+            .map(match => match.word);
+    }
+
+    suggest(query, limit = 5) {
+        // Simple suggestion system - find similar terms in the vocabulary
+        const suggestions = new Set();
+
+        this.tokenize(query).forEach(queryToken => {
+            // Suggest tokens that are similar but not identical
+            this.findFuzzyWords(queryToken, 0.7).forEach(wordId => suggestions.add(wordId));
+
+            // Also suggest tokens that contain the query token
+            this.findWordsContaining(queryToken).forEach(wordId => {
+                const word = this.words[wordId];
+                if (word.length > queryToken.length && this.isToken(word)) {
+                    suggestions.add(wordId);
+                }
+            });
+
+            const exactId = this.wordIds.get(queryToken);
+            if (exactId !== undefined) suggestions.delete(exactId);
+        });
+
+        return Array.from(suggestions)
+            .sort((a, b) => a - b)
+            .slice(0, limit)
+            .map(wordId => this.words[wordId]);
+    }
+}
+
+// Ranking weights; CONFIG.SEARCH_RANKING overrides them (compare profiles with evaluate-search.js)
+SearchIndex.defaultRanking = {
+    exactTitle: 3,          // the term itself is in the title
+    fuzzyTitle: 2,          // per title word matching the term (exact, partial or typo)
+    exactDescription: 1,
+    fuzzyDescription: 0.5,  // per description word
+    titlePhrase: 1,         // a title word contains the term, once per product
+    descriptionPhrase: 0.5,
+    coverage: 2,            // times the share of search terms the product matched
+    fuzzyThreshold: 0.8     // minimum similarity (1 - edit distance / length) of a typo match
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SearchIndex, BKTree };
+} else {
+    self.SearchIndex = SearchIndex; // self is window on the page and the global scope in workers
+}
@@ -0,0 +1,158 @@
+/**
+ * Search Query Parser
+ * Splits what was typed in the search box into free text, which is ranked by
+ * SearchIndex, and conditions every result must meet:
+ *
+ *   brand:zara  category:dresses  color:black   field values; quote values with spaces
+ *   price:<50  price:>=20  price:20-50           price range in euros
+ *   "red dress"                                  phrase in the title or description
+ *   -wool  -"faux fur"  -brand:zara              exclude a word, phrase or field value
+ *
+ * Any field other than brand, category and price is taken as a product attribute;
+ * CatalogueEngine reports the ones the dataset does not have. Mistakes never throw:
+ * they are collected in `errors` and the rest of the query still runs.
+ */
+
+class SearchQueryParser {
+    constructor() {
+        this.fieldAliases = { colour: 'color', cat: 'category' };
+        this.priceRange = /^(\d+(?:[.,]\d+)?)-(\d+(?:[.,]\d+)?)$/;
+        this.priceComparison = /^(<=?|>=?)?(\d+(?:[.,]\d+)?)$/;
+    }
+
+    // Lowercase words without accents, separated by single spaces; used on both sides
+    // of every comparison
+    normalize(text) {
+        return String(text || '').toLowerCase()
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^\w\s]|_/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    // Raw query parts: { text, quoted, negate }
+    splitParts(query) {
+        const parts = [];
+        const errors = [];
+        let i = 0;
+
+        while (i < query.length) {
+            if (/\s/.test(query[i])) {
+                i++;
+                continue;
+            }
+
+            const negate = query[i] === '-' && i + 1 < query.length && !/\s/.test(query[i + 1]);
+            if (negate) i++;
+
+            // A field may quote its value: brand:"massimo dutti"
+            const field = /^[a-z_]+:"/i.exec(query.slice(i));
+            const quoteStart = field ? i + field[0].length - 1 : (query[i] === '"' ? i : -1);
+
+            if (quoteStart >= 0) {
+                const quoteEnd = query.indexOf('"', quoteStart + 1);
+                const end = quoteEnd === -1 ? query.length : quoteEnd;
+                if (quoteEnd === -1) {
+                    errors.push(`Missing closing quote after ${query.slice(i, i + 20).trim()}`);
+                }
+
+                parts.push({
+                    text: query.slice(i, quoteStart) + query.slice(quoteStart + 1, end),
+                    quoted: true,
+                    negate
+                });
+                i = end + 1;
+                continue;
+            }
+
+            let end = i;
+            while (end < query.length && !/\s/.test(query[end])) end++;
+            parts.push({ text: query.slice(i, end), quoted: false, negate });
+            i = end;
+        }
+
+        return { parts, errors };
+    }
+
+    parsePrice(value) {
+        const toNumber = (text) => parseFloat(text.replace(',', '.'));
+
+        const range = this.priceRange.exec(value);
+        if (range) {
+            const min = toNumber(range[1]);
+            const max = toNumber(range[2]);
+            return min <= max ? { min, max } : null;
+        }
+
+        const comparison = this.priceComparison.exec(value);
+        if (!comparison) return null;
+
+        const price = toNumber(comparison[2]);
+        switch (comparison[1]) {
+            case '<': return { min: null, max: price, exclusiveMax: true };
+            case '<=': return { min: null, max: price };
+            case '>': return { min: price, max: null, exclusiveMin: true };
+            case '>=': return { min: price, max: null };
+            default: return { min: price, max: price };
+        }
+    }
+
+    /**
+     * Returns {
+     *   text,        free text for relevance scoring (quoted phrases included)
+     *   conditions,  [{ type: 'field', field, value, negate }
+     *                 { type: 'price', min, max, exclusiveMin, exclusiveMax, negate }
+     *                 { type: 'text', value, negate }]; values are normalized
+     *   errors       messages for the search-results-info line
+     * }
+     */
+    parse(query) {
+        const { parts, errors } = this.splitParts(query || '');
+        const text = [];
+        const conditions = [];
+
+        parts.forEach(part => {
+            const field = /^([a-z_]+):(.*)$/is.exec(part.text);
+
+            if (!field) {
+                const value = this.normalize(part.text);
+                if (!value) return;
+
+                if (part.negate || part.quoted) {
+                    conditions.push({ type: 'text', value, negate: part.negate });
+                }
+                // Excluded words are not ranked on
+                if (!part.negate) text.push(value);
+                return;
+            }
+
+            const name = this.fieldAliases[field[1].toLowerCase()] || field[1].toLowerCase();
+            const rawValue = field[2].trim();
+            if (!rawValue) {
+                errors.push(`"${name}:" needs a value, e.g. ${name === 'price' ? 'price:<50' : `${name}:"some value"`}`);
+                return;
+            }
+
+            if (name === 'price') {
+                const range = this.parsePrice(rawValue);
+                if (!range) {
+                    errors.push(`Invalid price "${rawValue}": use price:<50, price:>20 or price:20-50`);
+                    return;
+                }
+                conditions.push({ type: 'price', ...range, negate: part.negate });
+                return;
+            }
+
+            conditions.push({ type: 'field', field: name, value: this.normalize(rawValue), negate: part.negate });
+        });
+
+        return { text: text.join(' '), conditions, errors };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SearchQueryParser };
+} else {
+    self.SearchQueryParser = SearchQueryParser; // Also loaded by catalogue-worker.js
+}
@@ -0,0 +1,88 @@
+/**
+ * Service Worker
+ * Precaches the app shell so the catalogue opens without a network. Shell
+ * requests go to the network first (so deploys show up immediately) and fall
+ * back to the cache when offline. The product dataset is cached separately
+ * in IndexedDB by product-cache.js; Supabase requests are never intercepted.
+ *
+ * Bump CACHE_VERSION when files are added to or removed from APP_SHELL.
+ */
+
+const CACHE_VERSION = 'v7';
+const SHELL_CACHE = `brandnest-shell-${CACHE_VERSION}`;
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'styles.css',
+    'config.js',
+    'consent.js',
+    'user-identification.js',
+    'analytics-transport.js',
+    'analytics.js',
+    'auth.js',
+    'auth-ui.js',
+    'favorites.js',
+    'my-data.js',
+    'search-index.js',
+    'search-query.js',
+    'search-synonyms.json',
+    'product-cache.js',
+    'catalogue-engine.js',
+    'catalogue-worker.js',
+    'virtual-grid.js',
+    'product-detail.js',
+    'search-autocomplete.js',
+    'script.js'
+];
+
+// Cross-origin, so cached on a best-effort basis: a CDN outage must not fail the install
+const OPTIONAL_SHELL = [
+    'https://cdn.jsdelivr.net/npm/@supabase/supabase-js@2' // loaded on demand by auth.js
+];
+
+const shellUrls = new Set([...APP_SHELL, ...OPTIONAL_SHELL].map(path => new URL(path, self.location.href).href));
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(APP_SHELL)
+                .then(() => Promise.all(OPTIONAL_SHELL.map(url => cache.add(url)
+                    .catch(error => console.warn('Could not precache', url, error.message))))))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('brandnest-shell-') && key !== SHELL_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    // Catalogue URLs carry filters in the query string; they all serve index.html
+    const isNavigation = request.mode === 'navigate';
+    const url = new URL(request.url);
+    url.hash = '';
+    if (!isNavigation && !shellUrls.has(url.href)) return;
+
+    event.respondWith(
+        fetch(request)
+            .then(response => {
+                if (response.ok && !isNavigation) {
+                    const copy = response.clone();
+                    caches.open(SHELL_CACHE).then(cache => cache.put(request, copy));
+                }
+                return response;
+            })
+            .catch(() => caches.match(isNavigation ? 'index.html' : request)
+                .then(cached => cached || Response.error()))
+    );
+});
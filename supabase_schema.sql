@@ -22,6 +22,7 @@ CREATE TABLE user_sessions (
 -- User Interactions Table
 CREATE TABLE user_interactions (
     id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    event_id UUID UNIQUE, -- client-generated; re-sent events are ignored
     session_id VARCHAR(255) NOT NULL REFERENCES user_sessions(session_id) ON DELETE CASCADE,
     event_type VARCHAR(100) NOT NULL, -- 'click', 'scroll', 'hover', etc.
     element_type VARCHAR(100), -- 'product_card', 'filter_button', 'load_more', etc.
@@ -38,6 +39,7 @@ CREATE TABLE user_interactions (
 -- Search Events Table
 CREATE TABLE search_events (
     id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    event_id UUID UNIQUE, -- client-generated; re-sent events are ignored
     session_id VARCHAR(255) NOT NULL REFERENCES user_sessions(session_id) ON DELETE CASCADE,
     search_query TEXT NOT NULL,
     search_tokens TEXT[], -- tokenized search terms
@@ -52,6 +54,7 @@ CREATE TABLE search_events (
 -- Filter Events Table
 CREATE TABLE filter_events (
     id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    event_id UUID UNIQUE, -- client-generated; re-sent events are ignored
     session_id VARCHAR(255) NOT NULL REFERENCES user_sessions(session_id) ON DELETE CASCADE,
     filter_type VARCHAR(100) NOT NULL, -- 'brand', 'category', 'price', 'attribute'
     filter_action VARCHAR(50) NOT NULL, -- 'add', 'remove', 'clear', 'reset'
@@ -66,13 +69,14 @@ CREATE TABLE filter_events (
 -- Product Interactions Table
 CREATE TABLE product_interactions (
     id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    event_id UUID UNIQUE, -- client-generated; re-sent events are ignored
     session_id VARCHAR(255) NOT NULL REFERENCES user_sessions(session_id) ON DELETE CASCADE,
     product_url TEXT,
     product_brand VARCHAR(255),
     product_category VARCHAR(255),
     product_title TEXT,
     product_price DECIMAL(10,2),
-    interaction_type VARCHAR(100), -- 'click', 'view', 'image_navigation'
+    interaction_type VARCHAR(100), -- 'click', 'view', 'image_navigation', 'detail_view', 'shop_click', 'similar_click'
     image_index INTEGER, -- for image slider interactions
     position_in_list INTEGER, -- where in the product list
     timestamp TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
@@ -44,6 +44,14 @@ ADD COLUMN anonymous_user_id VARCHAR(255);
 ALTER TABLE product_interactions
 ADD COLUMN anonymous_user_id VARCHAR(255);
 
+-- Client-generated event ids, so events replayed from the browser's offline queue are not stored twice
+ALTER TABLE user_interactions ADD COLUMN IF NOT EXISTS event_id UUID UNIQUE;
+ALTER TABLE search_events ADD COLUMN IF NOT EXISTS event_id UUID UNIQUE;
+ALTER TABLE filter_events ADD COLUMN IF NOT EXISTS event_id UUID UNIQUE;
+ALTER TABLE product_interactions ADD COLUMN IF NOT EXISTS event_id UUID UNIQUE;
+-- Created below with the column; IF EXISTS only matters for databases that already have the table
+ALTER TABLE IF EXISTS user_behavior_patterns ADD COLUMN IF NOT EXISTS event_id UUID UNIQUE;
+
 -- User Journey Tracking Table
 CREATE TABLE user_journeys (
     id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
@@ -68,6 +76,7 @@ CREATE TABLE user_journeys (
 -- User Behavior Patterns Table
 CREATE TABLE user_behavior_patterns (
     id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    event_id UUID UNIQUE, -- client-generated; re-sent events are ignored
     anonymous_user_id VARCHAR(255) NOT NULL,
     pattern_type VARCHAR(100) NOT NULL, -- 'search', 'filter', 'browse', 'timing'
     pattern_data JSONB NOT NULL,
@@ -98,6 +107,23 @@ CREATE TABLE user_shopping_preferences (
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Consent Records Table
+-- One row per consent decision; kept as a necessary record even when analytics is declined
+CREATE TABLE consent_events (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    event_id UUID UNIQUE, -- client-generated; re-sent events are ignored
+    consent_id VARCHAR(255) NOT NULL, -- random ID of the browser's consent record
+    anonymous_user_id VARCHAR(255), -- only set when analytics is allowed
+    analytics BOOLEAN NOT NULL,
+    fingerprinting BOOLEAN NOT NULL,
+    source VARCHAR(50), -- 'banner', 'settings', 'privacy_signal'
+    privacy_signal VARCHAR(20), -- 'gpc', 'dnt' or NULL
+    consent_version INTEGER,
+    page_url TEXT,
+    timestamp TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- Add foreign key constraints
 ALTER TABLE user_sessions
 ADD CONSTRAINT fk_sessions_anonymous_user
@@ -147,6 +173,7 @@ CREATE INDEX idx_user_journeys_start ON user_journeys(journey_start);
 CREATE INDEX idx_user_behavior_patterns_user_id ON user_behavior_patterns(anonymous_user_id);
 CREATE INDEX idx_user_behavior_patterns_type ON user_behavior_patterns(pattern_type);
 CREATE INDEX idx_user_shopping_preferences_user_id ON user_shopping_preferences(anonymous_user_id);
+CREATE INDEX idx_consent_events_consent_id ON consent_events(consent_id);
 
 -- Update trigger functions to handle anonymous users
 CREATE OR REPLACE FUNCTION update_anonymous_user_stats()
@@ -259,6 +286,234 @@ CREATE TRIGGER trigger_analyze_user_behavior
     FOR EACH ROW
     EXECUTE FUNCTION analyze_user_behavior();
 
+-- Identity stitching: link a visitor's anonymous history to their account on sign-in
+ALTER TABLE anonymous_users
+ADD COLUMN IF NOT EXISTS auth_user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS linked_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS auth_user_id UUID;
+ALTER TABLE user_interactions ADD COLUMN IF NOT EXISTS auth_user_id UUID;
+ALTER TABLE search_events ADD COLUMN IF NOT EXISTS auth_user_id UUID;
+ALTER TABLE filter_events ADD COLUMN IF NOT EXISTS auth_user_id UUID;
+ALTER TABLE product_interactions ADD COLUMN IF NOT EXISTS auth_user_id UUID;
+ALTER TABLE user_journeys ADD COLUMN IF NOT EXISTS auth_user_id UUID;
+ALTER TABLE user_behavior_patterns ADD COLUMN IF NOT EXISTS auth_user_id UUID;
+ALTER TABLE user_shopping_preferences ADD COLUMN IF NOT EXISTS auth_user_id UUID;
+
+CREATE INDEX IF NOT EXISTS idx_anonymous_users_auth_user_id ON anonymous_users(auth_user_id);
+CREATE INDEX IF NOT EXISTS idx_user_sessions_auth_user_id ON user_sessions(auth_user_id);
+-- One preferences row per account
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_shopping_preferences_auth_user_id
+    ON user_shopping_preferences(auth_user_id) WHERE auth_user_id IS NOT NULL;
+
+-- Union of two JSON arrays without duplicates
+CREATE OR REPLACE FUNCTION jsonb_array_union(a JSONB, b JSONB)
+RETURNS JSONB AS $$
+    SELECT COALESCE(jsonb_agg(DISTINCT value), '[]'::jsonb)
+    FROM jsonb_array_elements(COALESCE(a, '[]'::jsonb) || COALESCE(b, '[]'::jsonb));
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Called by the signed-in user with their current visitor ID. Links it to the
+-- account, backfills auth_user_id on its sessions and events, and merges its
+-- shopping preferences into the account's. Returns the account's profile ID
+-- (its first linked visitor ID), which the browser adopts so every device
+-- shares one profile. Returns NULL when the visitor ID belongs to another account.
+CREATE OR REPLACE FUNCTION link_anonymous_user(p_anonymous_user_id VARCHAR)
+RETURNS VARCHAR AS $$
+DECLARE
+    v_user_id UUID := auth.uid();
+    v_profile_id VARCHAR;
+    v_account_prefs user_shopping_preferences%ROWTYPE;
+    v_visitor_prefs user_shopping_preferences%ROWTYPE;
+    v_visitor_newer BOOLEAN;
+BEGIN
+    IF v_user_id IS NULL THEN
+        RAISE EXCEPTION 'link_anonymous_user requires a signed-in user';
+    END IF;
+
+    -- A visitor ID already linked to another account is left alone (shared device)
+    UPDATE anonymous_users
+    SET
+        auth_user_id = v_user_id,
+        linked_at = COALESCE(linked_at, NOW()),
+        updated_at = NOW()
+    WHERE anonymous_user_id = p_anonymous_user_id
+        AND (auth_user_id IS NULL OR auth_user_id = v_user_id);
+
+    IF NOT FOUND THEN
+        RETURN NULL;
+    END IF;
+
+    -- Backfill the account on everything recorded under this visitor ID
+    UPDATE user_sessions SET auth_user_id = v_user_id
+    WHERE anonymous_user_id = p_anonymous_user_id AND auth_user_id IS NULL;
+    UPDATE user_interactions SET auth_user_id = v_user_id
+    WHERE anonymous_user_id = p_anonymous_user_id AND auth_user_id IS NULL;
+    UPDATE search_events SET auth_user_id = v_user_id
+    WHERE anonymous_user_id = p_anonymous_user_id AND auth_user_id IS NULL;
+    UPDATE filter_events SET auth_user_id = v_user_id
+    WHERE anonymous_user_id = p_anonymous_user_id AND auth_user_id IS NULL;
+    UPDATE product_interactions SET auth_user_id = v_user_id
+    WHERE anonymous_user_id = p_anonymous_user_id AND auth_user_id IS NULL;
+    UPDATE user_journeys SET auth_user_id = v_user_id
+    WHERE anonymous_user_id = p_anonymous_user_id AND auth_user_id IS NULL;
+    UPDATE user_behavior_patterns SET auth_user_id = v_user_id
+    WHERE anonymous_user_id = p_anonymous_user_id AND auth_user_id IS NULL;
+
+    SELECT anonymous_user_id INTO v_profile_id
+    FROM anonymous_users
+    WHERE auth_user_id = v_user_id
+    ORDER BY linked_at, created_at
+    LIMIT 1;
+
+    -- Merge this visitor's shopping preferences into the account's
+    SELECT * INTO v_account_prefs
+    FROM user_shopping_preferences
+    WHERE auth_user_id = v_user_id;
+
+    SELECT * INTO v_visitor_prefs
+    FROM user_shopping_preferences
+    WHERE anonymous_user_id = p_anonymous_user_id AND auth_user_id IS NULL
+    ORDER BY updated_at DESC
+    LIMIT 1;
+
+    IF v_visitor_prefs.id IS NOT NULL THEN
+        IF v_account_prefs.id IS NULL THEN
+            -- First preferences for the account: they become the profile's
+            UPDATE user_shopping_preferences
+            SET
+                auth_user_id = v_user_id,
+                anonymous_user_id = v_profile_id,
+                updated_at = NOW()
+            WHERE id = v_visitor_prefs.id;
+        ELSE
+            -- Lists are combined; for single values and object keys the newer row wins
+            v_visitor_newer := v_visitor_prefs.updated_at > v_account_prefs.updated_at;
+
+            UPDATE user_shopping_preferences
+            SET
+                preferred_brands = jsonb_array_union(preferred_brands, v_visitor_prefs.preferred_brands),
+                preferred_categories = jsonb_array_union(preferred_categories, v_visitor_prefs.preferred_categories),
+                avoided_brands = jsonb_array_union(avoided_brands, v_visitor_prefs.avoided_brands),
+                avoided_categories = jsonb_array_union(avoided_categories, v_visitor_prefs.avoided_categories),
+                search_patterns = jsonb_array_union(search_patterns, v_visitor_prefs.search_patterns),
+                preferred_price_range = CASE WHEN v_visitor_newer
+                    THEN COALESCE(preferred_price_range, '{}') || COALESCE(v_visitor_prefs.preferred_price_range, '{}')
+                    ELSE COALESCE(v_visitor_prefs.preferred_price_range, '{}') || COALESCE(preferred_price_range, '{}') END,
+                preferred_attributes = CASE WHEN v_visitor_newer
+                    THEN COALESCE(preferred_attributes, '{}') || COALESCE(v_visitor_prefs.preferred_attributes, '{}')
+                    ELSE COALESCE(v_visitor_prefs.preferred_attributes, '{}') || COALESCE(preferred_attributes, '{}') END,
+                time_of_day_preferences = CASE WHEN v_visitor_newer
+                    THEN COALESCE(time_of_day_preferences, '{}') || COALESCE(v_visitor_prefs.time_of_day_preferences, '{}')
+                    ELSE COALESCE(v_visitor_prefs.time_of_day_preferences, '{}') || COALESCE(time_of_day_preferences, '{}') END,
+                interaction_style = CASE WHEN v_visitor_newer
+                    THEN COALESCE(v_visitor_prefs.interaction_style, interaction_style)
+                    ELSE COALESCE(interaction_style, v_visitor_prefs.interaction_style) END,
+                session_length_preference = CASE WHEN v_visitor_newer
+                    THEN COALESCE(v_visitor_prefs.session_length_preference, session_length_preference)
+                    ELSE COALESCE(session_length_preference, v_visitor_prefs.session_length_preference) END,
+                device_preference = CASE
+                    WHEN device_preference IS NULL THEN v_visitor_prefs.device_preference
+                    WHEN v_visitor_prefs.device_preference IS NULL THEN device_preference
+                    WHEN device_preference = v_visitor_prefs.device_preference THEN device_preference
+                    ELSE 'mixed' END,
+                updated_at = NOW()
+            WHERE id = v_account_prefs.id;
+
+            DELETE FROM user_shopping_preferences WHERE id = v_visitor_prefs.id;
+        END IF;
+    END IF;
+
+    RETURN v_profile_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION link_anonymous_user(VARCHAR) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION link_anonymous_user(VARCHAR) TO authenticated;
+
+-- "My data" export and erasure (my-data.js). The caller gets the rows of their account
+-- (auth.uid()) and of the given visitor ID, unless that ID is linked to another account;
+-- without a session only an unlinked visitor ID counts, whose random value the browser
+-- alone knows. Rows stamped with another account are never included.
+CREATE OR REPLACE FUNCTION my_data_tables()
+RETURNS TEXT[] AS $$
+    -- Deletion order: anonymous_users last
+    SELECT ARRAY[
+        'user_interactions', 'search_events', 'filter_events', 'product_interactions',
+        'user_sessions', 'user_journeys', 'user_behavior_patterns', 'user_shopping_preferences',
+        'anonymous_users'
+    ];
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION my_data_visitor_id(p_anonymous_user_id VARCHAR)
+RETURNS VARCHAR AS $$
+    SELECT p_anonymous_user_id
+    WHERE p_anonymous_user_id IS NOT NULL
+        AND NOT EXISTS (
+            SELECT 1 FROM anonymous_users
+            WHERE anonymous_user_id = p_anonymous_user_id
+                AND auth_user_id IS NOT NULL
+                AND auth_user_id IS DISTINCT FROM auth.uid()
+        );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Returns { "<table>": [rows], ..., "consent_events": [rows] }
+CREATE OR REPLACE FUNCTION export_my_data(p_anonymous_user_id VARCHAR, p_consent_id VARCHAR DEFAULT NULL)
+RETURNS JSONB AS $$
+DECLARE
+    v_user_id UUID := auth.uid();
+    v_visitor_id VARCHAR := my_data_visitor_id(p_anonymous_user_id);
+    v_table TEXT;
+    v_rows JSONB;
+    v_result JSONB := '{}';
+BEGIN
+    FOREACH v_table IN ARRAY my_data_tables() LOOP
+        EXECUTE format(
+            'SELECT COALESCE(jsonb_agg(to_jsonb(t)), ''[]'') FROM %I t
+             WHERE t.auth_user_id = $1
+                OR (t.anonymous_user_id = $2 AND (t.auth_user_id IS NULL OR t.auth_user_id = $1))',
+            v_table)
+        INTO v_rows
+        USING v_user_id, v_visitor_id;
+        v_result := v_result || jsonb_build_object(v_table, v_rows);
+    END LOOP;
+
+    SELECT COALESCE(jsonb_agg(to_jsonb(c)), '[]') INTO v_rows
+    FROM consent_events c
+    WHERE c.consent_id = p_consent_id OR c.anonymous_user_id = v_visitor_id;
+
+    RETURN v_result || jsonb_build_object('consent_events', v_rows);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Consent records are kept as proof of the choices made, but unlinked from the visitor ID
+CREATE OR REPLACE FUNCTION erase_my_data(p_anonymous_user_id VARCHAR)
+RETURNS VOID AS $$
+DECLARE
+    v_user_id UUID := auth.uid();
+    v_visitor_id VARCHAR := my_data_visitor_id(p_anonymous_user_id);
+    v_table TEXT;
+BEGIN
+    FOREACH v_table IN ARRAY my_data_tables() LOOP
+        EXECUTE format(
+            'DELETE FROM %I t
+             WHERE t.auth_user_id = $1
+                OR (t.anonymous_user_id = $2 AND (t.auth_user_id IS NULL OR t.auth_user_id = $1))',
+            v_table)
+        USING v_user_id, v_visitor_id;
+    END LOOP;
+
+    UPDATE consent_events SET anonymous_user_id = NULL
+    WHERE anonymous_user_id = v_visitor_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION my_data_visitor_id(VARCHAR) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION export_my_data(VARCHAR, VARCHAR) FROM PUBLIC;
+REVOKE EXECUTE ON FUNCTION erase_my_data(VARCHAR) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION export_my_data(VARCHAR, VARCHAR) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION erase_my_data(VARCHAR) TO anon, authenticated;
+
 -- Views for common queries
 CREATE VIEW user_session_summary AS
 SELECT
@@ -1,6 +1,8 @@
 /**
  * Anonymous User Identification System
- * Creates persistent, privacy-respecting user identifiers without authentication
+ * Creates persistent, privacy-respecting user identifiers without authentication.
+ * The device fingerprint and the cookie/IndexedDB copies of the ID are only
+ * used with "fingerprinting" consent (see consent.js).
  */
 
 class AnonymousUserIdentifier {
@@ -10,24 +12,34 @@ class AnonymousUserIdentifier {
         this.storageKeys = {
             userId: 'fashion_app_user_id',
             fingerprint: 'fashion_app_device_fp',
-            userData: 'fashion_app_user_data'
+            userData: 'fashion_app_user_data',
+            linkedAccount: 'fashion_app_linked_account', // "<user id>:<auth user id>" once stitched
+            deviceUserId: 'fashion_app_device_user_id' // this device's own ID while an account profile is adopted
         };
         this.isInitialized = false;
     }
 
+    hasConsent(category) {
+        return !window.consentManager || window.consentManager.hasConsent(category);
+    }
+
     async initialize() {
         if (this.isInitialized) return this.anonymousUserId;
 
+        const canFingerprint = this.hasConsent('fingerprinting');
+
         try {
             // Try to get existing user ID from storage
             this.anonymousUserId = await this.getStoredUserId();
 
             if (!this.anonymousUserId) {
-                // Generate device fingerprint for fallback
-                this.deviceFingerprint = await this.generateDeviceFingerprint();
+                if (canFingerprint) {
+                    // Generate device fingerprint for fallback
+                    this.deviceFingerprint = await this.generateDeviceFingerprint();
 
-                // Try to find existing user by fingerprint
-                this.anonymousUserId = await this.findUserByFingerprint(this.deviceFingerprint);
+                    // Try to find existing user by fingerprint
+                    this.anonymousUserId = await this.findUserByFingerprint(this.deviceFingerprint);
+                }
 
                 if (!this.anonymousUserId) {
                     // Create new anonymous user
@@ -37,7 +49,7 @@ class AnonymousUserIdentifier {
             }
 
             // Ensure device fingerprint is generated
-            if (!this.deviceFingerprint) {
+            if (canFingerprint && !this.deviceFingerprint) {
                 this.deviceFingerprint = await this.generateDeviceFingerprint();
             }
 
@@ -70,11 +82,16 @@ class AnonymousUserIdentifier {
         // Try multiple storage methods
         const storageChecks = [
             () => localStorage.getItem(this.storageKeys.userId),
-            () => sessionStorage.getItem(this.storageKeys.userId),
-            () => this.getCookieValue(this.storageKeys.userId),
-            () => this.getFromIndexedDB(this.storageKeys.userId)
+            () => sessionStorage.getItem(this.storageKeys.userId)
         ];
 
+        if (this.hasConsent('fingerprinting')) {
+            storageChecks.push(
+                () => this.getCookieValue(this.storageKeys.userId),
+                () => this.getFromIndexedDB(this.storageKeys.userId)
+            );
+        }
+
         for (const check of storageChecks) {
             try {
                 const userId = await check();
@@ -130,6 +147,8 @@ class AnonymousUserIdentifier {
     }
 
     async storeInCookies(userId) {
+        if (!this.hasConsent('fingerprinting')) return;
+
         try {
             const expiryDate = new Date();
             expiryDate.setFullYear(expiryDate.getFullYear() + 2); // 2 years
@@ -140,6 +159,8 @@ class AnonymousUserIdentifier {
     }
 
     async storeInIndexedDB(userId, userData) {
+        if (!this.hasConsent('fingerprinting')) return false;
+
         return new Promise((resolve) => {
             try {
                 const request = indexedDB.open('FashionAppUserData', 1);
@@ -367,7 +388,9 @@ class AnonymousUserIdentifier {
         // Store updated data
         try {
             localStorage.setItem(this.storageKeys.userData, JSON.stringify(userData));
-            localStorage.setItem(this.storageKeys.fingerprint, this.deviceFingerprint);
+            if (this.deviceFingerprint) {
+                localStorage.setItem(this.storageKeys.fingerprint, this.deviceFingerprint);
+            }
         } catch (error) {
             // Storage might not be available
         }
@@ -375,6 +398,122 @@ class AnonymousUserIdentifier {
         return userData;
     }
 
+    // Switch to another visitor ID, e.g. the account's profile after sign-in.
+    // The device's own ID is kept so restoreDeviceUserId() can return to it.
+    async adoptUserId(userId) {
+        try {
+            if (this.anonymousUserId && !localStorage.getItem(this.storageKeys.deviceUserId)) {
+                localStorage.setItem(this.storageKeys.deviceUserId, this.anonymousUserId);
+            }
+        } catch (error) {
+            // Storage might not be available
+        }
+
+        this.anonymousUserId = userId;
+        await this.storeUserId(userId);
+        await this.updateUserData();
+    }
+
+    // After sign-out: stop using the ID linked to the account, so whoever uses the
+    // device next is not recorded under it. Returns the device's previous ID, or a new one
+    // when the device ID itself was linked.
+    async restoreDeviceUserId() {
+        const linkedAccount = this.getLinkedAccount();
+        let deviceUserId = null;
+
+        try {
+            deviceUserId = localStorage.getItem(this.storageKeys.deviceUserId);
+            localStorage.removeItem(this.storageKeys.deviceUserId);
+            localStorage.removeItem(this.storageKeys.linkedAccount);
+        } catch (error) {
+            // Storage might not be available
+        }
+
+        if (!deviceUserId && !linkedAccount) return this.anonymousUserId;
+
+        this.anonymousUserId = deviceUserId && !linkedAccount?.startsWith(`${deviceUserId}:`)
+            ? deviceUserId
+            : this.generateAnonymousUserId();
+        await this.storeUserId(this.anonymousUserId);
+        await this.updateUserData();
+        return this.anonymousUserId;
+    }
+
+    getLinkedAccount() {
+        try {
+            return localStorage.getItem(this.storageKeys.linkedAccount);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    setLinkedAccount(value) {
+        try {
+            localStorage.setItem(this.storageKeys.linkedAccount, value);
+        } catch (error) {
+            // Storage might not be available
+        }
+    }
+
+    // Forget the fingerprint and the cookie/IndexedDB copies of the ID
+    async clearDeviceRecognition() {
+        this.deviceFingerprint = null;
+
+        try {
+            localStorage.removeItem(this.storageKeys.fingerprint);
+            document.cookie = `${this.storageKeys.userId}=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=/; SameSite=Lax`;
+        } catch (error) {
+            // Storage might not be available
+        }
+
+        await this.deleteFromIndexedDB(this.storageKeys.userId);
+    }
+
+    // Forget the visitor entirely; a new ID is created on the next initialize()
+    async clearStoredIdentity() {
+        await this.clearDeviceRecognition();
+
+        [localStorage, sessionStorage].forEach(storage => {
+            try {
+                storage.removeItem(this.storageKeys.userId);
+                storage.removeItem(this.storageKeys.userData);
+                storage.removeItem(this.storageKeys.linkedAccount);
+                storage.removeItem(this.storageKeys.deviceUserId);
+            } catch (error) {
+                // Storage might not be available
+            }
+        });
+
+        this.anonymousUserId = null;
+        this.isInitialized = false;
+    }
+
+    async deleteFromIndexedDB(key) {
+        return new Promise((resolve) => {
+            try {
+                const request = indexedDB.open('FashionAppUserData', 1);
+
+                request.onerror = () => resolve(false);
+
+                request.onsuccess = (event) => {
+                    const db = event.target.result;
+
+                    if (!db.objectStoreNames.contains('userData')) {
+                        resolve(true);
+                        return;
+                    }
+
+                    const transaction = db.transaction(['userData'], 'readwrite');
+                    transaction.objectStore('userData').delete(key);
+                    transaction.oncomplete = () => resolve(true);
+                    transaction.onerror = () => resolve(false);
+                };
+            } catch (error) {
+                resolve(false);
+            }
+        });
+    }
+
     getAnonymousUserId() {
         return this.anonymousUserId;
     }
@@ -429,15 +568,28 @@ let userIdentifier = null;
 async function initializeUserIdentification() {
     if (!userIdentifier) {
         userIdentifier = new AnonymousUserIdentifier();
-        await userIdentifier.initialize();
     }
+    await userIdentifier.initialize();
     return userIdentifier;
 }
 
+// Remove stored identifiers after consent is withdrawn. With deviceRecognitionOnly,
+// only the fingerprint and the cookie/IndexedDB copies go.
+async function clearUserIdentification({ deviceRecognitionOnly = false } = {}) {
+    const identifier = userIdentifier || new AnonymousUserIdentifier();
+
+    if (deviceRecognitionOnly) {
+        await identifier.clearDeviceRecognition();
+    } else {
+        await identifier.clearStoredIdentity();
+    }
+}
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { AnonymousUserIdentifier, initializeUserIdentification };
+    module.exports = { AnonymousUserIdentifier, initializeUserIdentification, clearUserIdentification };
 } else {
     window.AnonymousUserIdentifier = AnonymousUserIdentifier;
     window.initializeUserIdentification = initializeUserIdentification;
+    window.clearUserIdentification = clearUserIdentification;
 }
\ No newline at end of file
@@ -0,0 +1,176 @@
+/**
+ * Virtual Grid
+ * Keeps only the rows near the viewport of a CSS grid in the DOM. Rows above
+ * and below are replaced by padding, and cards that scroll out of range are
+ * handed back to renderItem to be refilled with another item.
+ */
+
+class VirtualGrid {
+    // renderItem(element|null, item, index) returns the element for the item,
+    // reusing the given element when there is one. onRender runs after new
+    // elements were filled.
+    constructor(container, { renderItem, onRender = null, overscan = 2 }) {
+        this.container = container;
+        this.renderItem = renderItem;
+        this.onRender = onRender;
+        this.overscan = overscan;   // rows kept above and below the viewport
+        this.items = [];
+        this.elements = new Map();  // item index -> element in the DOM
+        this.pool = [];             // detached elements waiting to be reused
+        this.columns = 1;
+        this.rowHeight = 0;         // card height plus row gap, 0 until measured
+        this.frame = null;
+
+        this.container.classList.add('virtualized');
+        this.scheduleUpdate = this.scheduleUpdate.bind(this);
+        window.addEventListener('scroll', this.scheduleUpdate, { passive: true });
+        window.addEventListener('resize', () => {
+            this.rowHeight = 0;
+            this.scheduleUpdate();
+        });
+    }
+
+    setItems(items) {
+        this.elements.forEach(element => this.release(element));
+        this.elements.clear();
+        this.items = items.slice();
+        this.update();
+    }
+
+    appendItems(items) {
+        this.items.push(...items);
+        this.update();
+    }
+
+    // Fills the cards in the DOM for items start..end-1 again, after their data changed
+    refreshItems(start = 0, end = this.items.length) {
+        let rendered = false;
+        this.elements.forEach((element, index) => {
+            if (index >= start && index < end) {
+                this.renderItem(element, this.items[index], index);
+                rendered = true;
+            }
+        });
+
+        if (rendered && this.onRender) {
+            this.onRender();
+        }
+    }
+
+    scheduleUpdate() {
+        if (this.frame) return;
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.update();
+        });
+    }
+
+    release(element) {
+        element.remove();
+        this.pool.push(element);
+    }
+
+    measure() {
+        const style = getComputedStyle(this.container);
+        this.columns = Math.max(1, style.gridTemplateColumns.split(' ').filter(Boolean).length);
+
+        const element = this.elements.values().next().value;
+        if (element && !this.rowHeight) {
+            this.rowHeight = element.offsetHeight + (parseFloat(style.rowGap) || 0);
+        }
+    }
+
+    // Document offset of the first row
+    getTop() {
+        return this.container.getBoundingClientRect().top + window.scrollY;
+    }
+
+    getVisibleRange() {
+        const rows = Math.ceil(this.items.length / this.columns);
+        // Before the first measurement assume portrait cards, so a screenful gets rendered
+        const rowHeight = this.rowHeight || this.container.clientWidth / this.columns * 1.6;
+
+        const offset = window.scrollY - this.getTop();
+        const firstRow = Math.max(0, Math.floor(offset / rowHeight) - this.overscan);
+        const lastRow = Math.min(rows, Math.ceil((offset + window.innerHeight) / rowHeight) + this.overscan);
+
+        return {
+            rows,
+            firstRow: Math.min(firstRow, lastRow),
+            lastRow,
+            start: Math.min(firstRow, lastRow) * this.columns,
+            end: Math.min(this.items.length, lastRow * this.columns)
+        };
+    }
+
+    update() {
+        const wasMeasured = this.rowHeight > 0;
+        this.measure();
+
+        const { rows, firstRow, lastRow, start, end } = this.getVisibleRange();
+
+        // Recycle cards that left the window
+        this.elements.forEach((element, index) => {
+            if (index < start || index >= end) {
+                this.release(element);
+                this.elements.delete(index);
+            }
+        });
+
+        // Fill new cards and put every card in item order
+        let rendered = false;
+        let previous = null;
+        for (let index = start; index < end; index++) {
+            let element = this.elements.get(index);
+            if (!element) {
+                element = this.renderItem(this.pool.pop() || null, this.items[index], index);
+                this.elements.set(index, element);
+                rendered = true;
+            }
+
+            const expected = previous ? previous.nextSibling : this.container.firstChild;
+            if (element !== expected) {
+                this.container.insertBefore(element, expected);
+            }
+            previous = element;
+        }
+
+        if (this.rowHeight) {
+            this.container.style.paddingTop = `${firstRow * this.rowHeight}px`;
+            this.container.style.paddingBottom = `${(rows - lastRow) * this.rowHeight}px`;
+        }
+
+        if (rendered && this.onRender) {
+            this.onRender();
+        }
+
+        // The first render used an estimated row height; redo it with the real one
+        if (!wasMeasured && this.elements.size > 0) {
+            this.measure();
+            if (this.rowHeight) this.update();
+        }
+    }
+
+    // Index of the first item in the top visible row
+    getFirstVisibleIndex() {
+        if (!this.rowHeight) return 0;
+        const offset = Math.max(0, window.scrollY - this.getTop());
+        return Math.min(this.items.length - 1, Math.floor(offset / this.rowHeight) * this.columns);
+    }
+
+    scrollToIndex(index) {
+        if (!this.rowHeight) this.update();
+        if (!this.rowHeight) return;
+
+        const row = Math.floor(index / this.columns);
+        window.scrollTo(0, this.getTop() + row * this.rowHeight);
+        this.update();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VirtualGrid;
+} else {
+    window.VirtualGrid = VirtualGrid;
+}